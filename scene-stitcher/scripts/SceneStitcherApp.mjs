@@ -4,13 +4,26 @@
  * Two-step wizard:
  *   1. Scene Selection — pick 2+ scenes to merge
  *   2. Layout Canvas — drag-and-drop arrangement + merge trigger
+ *
+ * Selecting a single scene in step 1 offers the inverse operation: splitting it
+ * into a grid of smaller scenes. One of the selected scenes can instead be made the
+ * target, which the others are stitched into rather than into a new scene.
+ *
+ * The layout step can plan a merge first: a dry run reports what would be created
+ * and what to look out for, and nothing is created until the GM merges from it.
  */
 
 import { LayoutCanvas } from "./canvas-layout.mjs";
-import { mergeScenes, getSceneInfo } from "./merge-engine.mjs";
+import { countFilteredDocuments } from "./document-filters.mjs";
+import { EMBEDDED_TYPES, mergeScenes, getSceneInfo } from "./merge-engine.mjs";
+import { compareSceneSettings } from "./scene-settings.mjs";
+import { splitScene, computeGridRects } from "./split-engine.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+/** Entries listed per section of the merge plan before the rest are summed up */
+const PLAN_LIST_LIMIT = 25;
+
 export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2) {
   /** @override */
   static DEFAULT_OPTIONS = {
@@ -30,11 +43,16 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       selectAll: SceneStitcherApp.#onSelectAll,
       deselectAll: SceneStitcherApp.#onDeselectAll,
       toggleScene: SceneStitcherApp.#onToggleScene,
+      setTarget: SceneStitcherApp.#onSetTarget,
       goToLayout: SceneStitcherApp.#onGoToLayout,
+      split: SceneStitcherApp.#onSplit,
       goToSelect: SceneStitcherApp.#onGoToSelect,
       toggleSnapX: SceneStitcherApp.#onToggleSnapX,
       toggleSnapY: SceneStitcherApp.#onToggleSnapY,
       toggleSnapBoth: SceneStitcherApp.#onToggleSnapBoth,
+      toggleForeground: SceneStitcherApp.#onToggleForeground,
+      toggleCrop: SceneStitcherApp.#onToggleCrop,
+      clearCrop: SceneStitcherApp.#onClearCrop,
       zoomIn: SceneStitcherApp.#onZoomIn,
       zoomOut: SceneStitcherApp.#onZoomOut,
       fitAll: SceneStitcherApp.#onFitAll,
@@ -42,8 +60,12 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       layerDown: SceneStitcherApp.#onLayerDown,
       rotateCW: SceneStitcherApp.#onRotateCW,
       rotateCCW: SceneStitcherApp.#onRotateCCW,
+      flipX: SceneStitcherApp.#onFlipX,
+      flipY: SceneStitcherApp.#onFlipY,
       preview: SceneStitcherApp.#onPreview,
+      plan: SceneStitcherApp.#onPlan,
       merge: SceneStitcherApp.#onMerge,
+      cancelMerge: SceneStitcherApp.#onCancelMerge,
     },
   };
 
@@ -63,6 +85,9 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     /** @type {Set<string>} Selected scene IDs */
     this._selectedSceneIds = new Set();
 
+    /** @type {string|null} Selected scene the others are stitched into, if any */
+    this._targetSceneId = null;
+
     /** @type {string} Search query for filtering */
     this._searchQuery = "";
 
@@ -73,8 +98,17 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     this._snapX = true;
     this._snapY = true;
 
+    /** Foreground overlay on the layout canvas */
+    this._showForeground = false;
+
+    /** Crop mode: drags on the layout canvas draw crop rectangles */
+    this._cropMode = false;
+
     /** Zoom display */
     this._zoomPercent = 100;
+
+    /** @type {AbortController|null} Set while a merge is running */
+    this._mergeAbort = null;
   }
 
   // ---------------------------------------------------------------------------
@@ -89,6 +123,7 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       return {
         ...info,
         selected: this._selectedSceneIds.has(scene.id),
+        isTarget: scene.id === this._targetSceneId,
         isVideo,
       };
     });
@@ -99,6 +134,9 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       ? allScenes.filter((s) => s.name.toLowerCase().includes(query))
       : allScenes;
 
+    // Grid sizes of the selection, in layout canvas order
+    const selectedGridSizes = allScenes.filter((s) => s.selected).map((s) => s.gridSize);
+
     // Sort: selected first, then alphabetically
     scenes.sort((a, b) => {
       if (a.selected !== b.selected) return a.selected ? -1 : 1;
@@ -113,7 +151,20 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       snapX: this._snapX,
       snapY: this._snapY,
       snapBoth: this._snapX && this._snapY,
+      showForeground: this._showForeground,
+      cropMode: this._cropMode,
       zoomPercent: this._zoomPercent,
+      gridMismatch: new Set(selectedGridSizes).size > 1,
+      targetGridSize: selectedGridSizes[0] ?? 100,
+      documentTypes: EMBEDDED_TYPES.map((t) => ({
+        documentName: t.documentName,
+        label: game.i18n.localize(CONFIG[t.documentName]?.documentClass?.metadata?.labelPlural ?? t.documentName),
+      })),
+      dispositions: Object.entries(CONST.TOKEN_DISPOSITIONS).map(([key, value]) => ({
+        value,
+        label: game.i18n.localize(`TOKEN.DISPOSITION.${key}`),
+      })),
+      users: game.users.map((u) => ({ id: u.id, name: u.name })),
     };
   }
 
@@ -139,6 +190,31 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     // Initialize the layout canvas if on the layout step
     if (this._step === "layout") {
       this._initLayoutCanvas();
+
+      // Typed angles turn the selected scene
+      this.element.querySelector('[name="rotationAngle"]')?.addEventListener("change", (event) => {
+        this._layoutCanvas?.setRotation(Number(event.target.value));
+        this._updateSelectedInfo();
+      });
+
+      // Typed percentages scale the selected scene
+      this.element.querySelector('[name="sceneScale"]')?.addEventListener("change", (event) => {
+        const percent = Number(event.target.value);
+        if (percent > 0) this._layoutCanvas?.setScale(percent / 100);
+        this._updateSelectedInfo();
+      });
+
+      // Rescaling changes scene sizes on the layout canvas straight away
+      for (const name of ["rescaleGrid", "targetGridSize"]) {
+        this.element
+          .querySelector(`[name="${name}"]`)
+          ?.addEventListener("change", () => this._applyGridRescale());
+      }
+
+      // Document filters preview how many documents of each type will be copied
+      const filterPanel = this.element.querySelector(".scene-stitcher-filter-options");
+      filterPanel?.addEventListener("change", () => this._updateFilterCounts());
+      this._updateFilterCounts();
     }
   }
 
@@ -176,14 +252,17 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
       },
     });
 
-    // Load selected scenes
+    // Load selected scenes; a target goes first and stays where it is
     const selectedScenes = game.scenes.contents
       .filter((s) => this._selectedSceneIds.has(s.id))
-      .map((s) => getSceneInfo(s));
+      .map((s) => ({ ...getSceneInfo(s), locked: s.id === this._targetSceneId }))
+      .sort((a, b) => b.locked - a.locked);
 
     this._layoutCanvas.setScenes(selectedScenes);
     this._layoutCanvas.snapX = this._snapX;
     this._layoutCanvas.snapY = this._snapY;
+    if (this._showForeground) this._layoutCanvas.setShowForeground(true);
+    if (this._cropMode) this._layoutCanvas.setCropMode(true);
 
     // Handle resize
     const resizeObserver = new ResizeObserver((entries) => {
@@ -217,6 +296,7 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
 
   static #onDeselectAll(event, target) {
     this._selectedSceneIds.clear();
+    this._targetSceneId = null;
     this.render();
   }
 
@@ -226,12 +306,20 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
 
     if (this._selectedSceneIds.has(sceneId)) {
       this._selectedSceneIds.delete(sceneId);
+      if (this._targetSceneId === sceneId) this._targetSceneId = null;
     } else {
       this._selectedSceneIds.add(sceneId);
     }
     this.render();
   }
 
+  static #onSetTarget(event, target) {
+    const sceneId = target.closest("[data-scene-id]")?.dataset.sceneId;
+    if (!sceneId) return;
+    this._targetSceneId = this._targetSceneId === sceneId ? null : sceneId;
+    this.render();
+  }
+
   static #onGoToLayout(event, target) {
     if (this._selectedSceneIds.size < 2) {
       ui.notifications.warn(game.i18n.localize("SCENE_STITCHER.MinScenesWarning"));
@@ -241,6 +329,78 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     this.render();
   }
 
+  static async #onSplit(event, target) {
+    if (this._selectedSceneIds.size !== 1) {
+      ui.notifications.warn(game.i18n.localize("SCENE_STITCHER.SplitSelectOne"));
+      return;
+    }
+    const [sceneId] = this._selectedSceneIds;
+    const scene = game.scenes.get(sceneId);
+    if (!scene) return;
+
+    const splitContent = game.i18n
+      .localize("SCENE_STITCHER.SplitContent")
+      .replace("{name}", foundry.utils.escapeHTML(scene.name));
+
+    const grid = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize("SCENE_STITCHER.SplitTitle"),
+        icon: "fas fa-th-large",
+      },
+      content: `<p>${splitContent}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("SCENE_STITCHER.SplitRows")}</label>
+          <input type="number" name="rows" value="2" min="1" step="1" />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("SCENE_STITCHER.SplitColumns")}</label>
+          <input type="number" name="columns" value="2" min="1" step="1" />
+        </div>`,
+      ok: {
+        label: game.i18n.localize("SCENE_STITCHER.SplitButton"),
+        icon: "fas fa-check",
+        callback: (event, button) => ({
+          rows: Math.max(1, Math.floor(button.form.elements.rows.valueAsNumber || 1)),
+          columns: Math.max(1, Math.floor(button.form.elements.columns.valueAsNumber || 1)),
+        }),
+      },
+    });
+
+    if (!grid) return;
+    if (grid.rows * grid.columns < 2) {
+      ui.notifications.warn(game.i18n.localize("SCENE_STITCHER.SplitMinPieces"));
+      return;
+    }
+
+    ui.notifications.info(game.i18n.localize("SCENE_STITCHER.SplitInProgress"));
+
+    try {
+      const rects = computeGridRects(scene, grid.rows, grid.columns);
+      const { scenes, warnings } = await splitScene(sceneId, rects);
+
+      for (const warning of warnings) {
+        ui.notifications.warn(`Scene Stitcher: ${warning}`);
+      }
+
+      const successMsg = game.i18n
+        .localize("SCENE_STITCHER.SplitSuccess")
+        .replace("{count}", scenes.length)
+        .replace("{name}", scene.name);
+      ui.notifications.info(successMsg);
+
+      // Select the new pieces so they can be stitched straight back for a check
+      this._selectedSceneIds = new Set(scenes.map((s) => s.id));
+      this._targetSceneId = null;
+      this.render();
+    } catch (err) {
+      console.error("Scene Stitcher: Split failed", err);
+      const errorMsg = game.i18n
+        .localize("SCENE_STITCHER.SplitError")
+        .replace("{error}", err.message);
+      ui.notifications.error(errorMsg);
+    }
+  }
+
   static #onGoToSelect(event, target) {
     if (this._layoutCanvas) {
       this._layoutCanvas.destroy();
@@ -288,6 +448,29 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     this._updateToolbarState();
   }
 
+  static #onToggleForeground(event, target) {
+    this._showForeground = !this._showForeground;
+    this._layoutCanvas?.setShowForeground(this._showForeground);
+    this._updateToolbarState();
+  }
+
+  static #onToggleCrop(event, target) {
+    this._cropMode = !this._cropMode;
+    this._layoutCanvas?.setCropMode(this._cropMode);
+    this._updateToolbarState();
+    if (this._cropMode) ui.notifications.info(game.i18n.localize("SCENE_STITCHER.CropHint"));
+  }
+
+  static #onClearCrop(event, target) {
+    if (!this._layoutCanvas) return;
+    if (this._layoutCanvas.getSelectedIndex() < 0) {
+      ui.notifications.warn("Select a scene first by clicking on it.");
+      return;
+    }
+    this._layoutCanvas.clearCrop();
+    this._updateSelectedInfo();
+  }
+
   static #onZoomIn(event, target) {
     if (this._layoutCanvas) {
       this._layoutCanvas.zoomIn();
@@ -332,6 +515,12 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     if (snapYBtn) snapYBtn.classList.toggle("is-active", this._snapY);
     if (snapBothBtn) snapBothBtn.classList.toggle("is-active", this._snapX && this._snapY);
 
+    const foregroundBtn = el.querySelector('[data-action="toggleForeground"]');
+    if (foregroundBtn) foregroundBtn.classList.toggle("is-active", this._showForeground);
+
+    const cropBtn = el.querySelector('[data-action="toggleCrop"]');
+    if (cropBtn) cropBtn.classList.toggle("is-active", this._cropMode);
+
     this._updateZoomDisplay();
   }
 
@@ -345,6 +534,51 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     if (zoomLabel) zoomLabel.textContent = `${this._zoomPercent}%`;
   }
 
+  /**
+   * Show, update or hide the merge progress overlay without re-rendering.
+   *
+   * @param {Object|null|false} progress - A MergeProgress from mergeScenes(), null while
+   *   preparing, or false to hide the overlay
+   */
+  _updateMergeProgress(progress) {
+    const el = this.element?.querySelector(".scene-stitcher-progress");
+    if (!el) return;
+    el.hidden = progress === false;
+    if (progress === false) return;
+
+    const bar = (done, total) => `<progress value="${done}" max="${Math.max(total, 1)}"></progress>`;
+    const row = (label, { done, total }) => `<div class="scene-stitcher-progress-row">
+        <span>${foundry.utils.escapeHTML(label)}</span>${bar(done, total)}<span>${done} / ${total}</span>
+      </div>`;
+
+    // A progress element without a value shows as indeterminate
+    const mainBar = el.querySelector(".scene-stitcher-progress-bar");
+    if (progress) {
+      mainBar.max = Math.max(progress.total, 1);
+      mainBar.value = progress.done;
+    } else {
+      mainBar.removeAttribute("value");
+      el.querySelector('[data-action="cancelMerge"]').disabled = false;
+    }
+    el.querySelector(".scene-stitcher-progress-label").textContent = progress
+      ? game.i18n.localize("SCENE_STITCHER.MergeProgress").replace("{done}", progress.done).replace("{total}", progress.total)
+      : game.i18n.localize("SCENE_STITCHER.MergePreparing");
+
+    const details = el.querySelector(".scene-stitcher-progress-details");
+    if (!progress) {
+      details.innerHTML = "";
+      return;
+    }
+    const scenes = Object.values(progress.byScene).filter((s) => s.total > 0);
+    const types = Object.entries(progress.byType).filter(([, t]) => t.total > 0);
+    details.innerHTML = `<div class="scene-stitcher-progress-group">
+        ${scenes.map((s) => row(s.name, s)).join("")}
+      </div>
+      <div class="scene-stitcher-progress-group">
+        ${types.map(([type, t]) => row(game.i18n.localize(CONFIG[type]?.documentClass?.metadata?.labelPlural ?? type), t)).join("")}
+      </div>`;
+  }
+
   /**
    * Update the selected scene info panel without re-rendering.
    */
@@ -355,17 +589,216 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     if (!infoEl) return;
 
     const scene = this._layoutCanvas.getSelectedScene();
-    if (scene) {
+
+    // The angle input follows the selection, unless it is being typed in
+    const angleInput = el.querySelector('[name="rotationAngle"]');
+    if (angleInput) {
+      angleInput.disabled = !scene || scene.locked;
+      if (document.activeElement !== angleInput) angleInput.value = scene?.rotation ?? 0;
+    }
+    const scaleInput = el.querySelector('[name="sceneScale"]');
+    if (scaleInput) {
+      scaleInput.disabled = !scene || scene.locked;
+      if (document.activeElement !== scaleInput) scaleInput.value = Math.round((scene?.scale ?? 1) * 10000) / 100;
+    }
+
+    if (scene?.locked) {
+      infoEl.innerHTML = `<span class="scene-stitcher-selected-label">
+        <strong>${scene.name}</strong> &mdash; ${game.i18n.localize("SCENE_STITCHER.TargetBadge")} |
+        ${Math.round(scene.width)} x ${Math.round(scene.height)} px
+      </span>`;
+    } else if (scene) {
       infoEl.innerHTML = `<span class="scene-stitcher-selected-label">
         <strong>${scene.name}</strong> &mdash;
-        Layer: ${scene.zIndex} | Rotation: ${scene.rotation}\u00B0 |
-        ${scene.width} x ${scene.height} px
+        Layer: ${scene.zIndex} | Rotation: ${scene.rotation}\u00B0 |${scene.flipX || scene.flipY ? ` Mirrored: ${[scene.flipX && "X", scene.flipY && "Y"].filter(Boolean).join(" + ")} |` : ""}
+        ${Math.round(scene.width)} x ${Math.round(scene.height)} px${scene.scale !== 1 ? ` | Scale: ${Math.round(scene.scale * 100)}%` : ""}${scene.crop ? ` | Crop: ${Math.round(scene.crop.width)} x ${Math.round(scene.crop.height)} px` : ""}
       </span>`;
     } else {
       infoEl.innerHTML = `<span class="scene-stitcher-selected-label">No scene selected &mdash; click a scene to select it for layer/rotation controls</span>`;
     }
   }
 
+  /**
+   * Apply the grid rescale option to the layout canvas.
+   */
+  _applyGridRescale() {
+    if (!this._layoutCanvas) return;
+    const enabled = !!this.element.querySelector('[name="rescaleGrid"]')?.checked;
+    const gridSize = Number(this.element.querySelector('[name="targetGridSize"]')?.value) || 0;
+    this._layoutCanvas.setGridSize(enabled && gridSize > 0 ? gridSize : null);
+  }
+
+  /**
+   * Read the merge options panel in the layout footer.
+   *
+   * @returns {Object} Options for mergeScenes()
+   */
+  _readMergeOptions() {
+    const el = this.element;
+    const field = (name) => el?.querySelector(`[name="${name}"]`);
+
+    const options = {
+      flattenBackgrounds: !!field("flattenBackgrounds")?.checked,
+      flattenFormat: field("flattenFormat")?.value ?? "webp",
+      onFailure: field("onFailure")?.value ?? "rollback",
+      overlap: field("overlap")?.value ?? "keep",
+      filters: this._readDocumentFilters(),
+      chunkSize: Math.max(Math.floor(Number(field("chunkSize")?.value) || 200), 1),
+      fog: !!field("mergeFog")?.checked,
+      journal: !!field("mergeJournal")?.checked,
+      seamCleanup: null,
+    };
+    if (field("seamCleanup")?.checked) {
+      options.seamCleanup = {
+        weldTolerance: Math.max(Number(field("weldTolerance")?.value) || 0, 0),
+        removeSeamWalls: !!field("removeSeamWalls")?.checked,
+      };
+    }
+    return options;
+  }
+
+  /**
+   * Read the document filter panel in the layout footer.
+   *
+   * @returns {Object} Filters for mergeScenes() (see matchesFilters())
+   */
+  _readDocumentFilters() {
+    const el = this.element;
+    if (!el) return {};
+    const checked = (name) => [...el.querySelectorAll(`[name="${name}"]`)].map((input) => [input.value, input.checked]);
+    // Every box ticked means "no filter", so new users and documents are never left out
+    const selection = (name) => {
+      const boxes = checked(name);
+      return boxes.every(([, on]) => on) ? null : boxes.filter(([, on]) => on).map(([value]) => value);
+    };
+
+    const filters = {
+      types: Object.fromEntries(checked("includeType")),
+      visibility: el.querySelector('[name="filterVisibility"]')?.value ?? "all",
+      dispositions: selection("filterDisposition")?.map(Number) ?? null,
+      authors: selection("filterAuthor"),
+      flag: null,
+    };
+    const flagPath = el.querySelector('[name="filterFlagPath"]')?.value.trim();
+    if (flagPath) {
+      filters.flag = {
+        path: flagPath,
+        value: el.querySelector('[name="filterFlagValue"]')?.value.trim() || undefined,
+        exclude: el.querySelector('[name="filterFlagMode"]')?.value === "exclude",
+      };
+    }
+    return filters;
+  }
+
+  /**
+   * Show how many documents of each type the current filters copy, without re-rendering.
+   */
+  _updateFilterCounts() {
+    const el = this.element?.querySelector(".scene-stitcher-filter-options");
+    if (!el) return;
+    // A target scene's own documents are not copied
+    const scenes = [...this._selectedSceneIds]
+      .filter((id) => id !== this._targetSceneId)
+      .map((id) => game.scenes.get(id))
+      .filter(Boolean);
+    const counts = countFilteredDocuments(scenes, EMBEDDED_TYPES, this._readDocumentFilters());
+
+    let included = 0;
+    let total = 0;
+    for (const [documentName, count] of Object.entries(counts)) {
+      const label = el.querySelector(`[data-count="${documentName}"]`);
+      if (label) label.textContent = `${count.included} / ${count.total}`;
+      included += count.included;
+      total += count.total;
+    }
+    const summary = el.querySelector(".scene-stitcher-filter-total");
+    if (summary) summary.textContent = `(${included} / ${total})`;
+  }
+
+  /**
+   * Ask the GM how to resolve scene-level settings that differ between the sources.
+   * Each conflicting field lists the distinct values (with the scenes using them)
+   * and, where the field has a single editable value, a custom input.
+   *
+   * @param {Scene[]} scenes - Source scenes in layout order
+   * @returns {Promise<Object|null>} Choices for resolveSceneSettings(), {} if nothing
+   *   conflicts, or null if the dialog was cancelled
+   */
+  async _promptSceneSettings(scenes) {
+    const conflicts = compareSceneSettings(scenes).filter((c) => c.conflicting);
+    if (!conflicts.length) return {};
+
+    const escape = foundry.utils.escapeHTML;
+    const customLabel = game.i18n.localize("SCENE_STITCHER.SceneSettingsCustom");
+
+    const renderInput = ({ path, type, choices, attributes = {} }, key, values) => {
+      const name = `custom.${key}`;
+      const value = values[path];
+      if (type === "select") {
+        const options = Object.entries(choices()).map(
+          ([id, label]) => `<option value="${escape(id)}" ${id === (value ?? "") ? "selected" : ""}>${escape(label)}</option>`
+        );
+        return `<select name="${name}" disabled>${options.join("")}</select>`;
+      }
+      if (type === "checkbox") return `<input type="checkbox" name="${name}" ${value ? "checked" : ""} disabled />`;
+      const attrs = Object.entries(attributes).map(([k, v]) => `${k}="${v}"`).join(" ");
+      return `<input type="${type}" name="${name}" value="${escape(String(value ?? ""))}" ${attrs} disabled />`;
+    };
+
+    const rows = conflicts.map(({ field, options }) => {
+      const choices = options.map(
+        (o) => `<option value="${o.sceneIds[0]}">${escape(o.sceneNames.join(", "))} — ${escape(String(o.summary))}</option>`
+      );
+      if (field.input) choices.push(`<option value="custom">${customLabel}</option>`);
+      return `<div class="form-group scene-stitcher-setting-row">
+          <label>${game.i18n.localize(field.label)}</label>
+          <div class="form-fields">
+            <select name="choice.${field.key}">${choices.join("")}</select>
+            ${field.input ? renderInput(field.input, field.key, options[0].values) : ""}
+          </div>
+        </div>`;
+    });
+
+    return foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize("SCENE_STITCHER.SceneSettingsTitle"),
+        icon: "fas fa-sliders-h",
+      },
+      position: { width: 560 },
+      content: `<p>${game.i18n.localize("SCENE_STITCHER.SceneSettingsContent")}</p>${rows.join("")}`,
+      // Custom inputs are only editable while "Custom" is picked
+      render: (event, dialog) => {
+        for (const { field } of conflicts) {
+          const select = dialog.element.querySelector(`[name="choice.${field.key}"]`);
+          const input = dialog.element.querySelector(`[name="custom.${field.key}"]`);
+          if (input) select.addEventListener("change", () => (input.disabled = select.value !== "custom"));
+        }
+      },
+      ok: {
+        label: game.i18n.localize("SCENE_STITCHER.MergeButton"),
+        icon: "fas fa-check",
+        callback: (event, button) => {
+          const elements = button.form.elements;
+          const result = {};
+          for (const { field } of conflicts) {
+            const choice = elements[`choice.${field.key}`].value;
+            if (choice !== "custom") {
+              result[field.key] = { sceneId: choice };
+              continue;
+            }
+            const input = elements[`custom.${field.key}`];
+            let custom = input.value;
+            if (field.input.type === "checkbox") custom = input.checked;
+            else if (field.input.type === "number") custom = input.value === "" ? null : Number(input.value);
+            else if (custom === "") custom = null;
+            result[field.key] = { custom };
+          }
+          return result;
+        },
+      },
+    });
+  }
+
   // ---------------------------------------------------------------------------
   // Layer & rotation action handlers
   // ---------------------------------------------------------------------------
@@ -410,6 +843,26 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     this._updateSelectedInfo();
   }
 
+  static #onFlipX(event, target) {
+    if (!this._layoutCanvas) return;
+    if (this._layoutCanvas.getSelectedIndex() < 0) {
+      ui.notifications.warn("Select a scene first by clicking on it.");
+      return;
+    }
+    this._layoutCanvas.flip("x");
+    this._updateSelectedInfo();
+  }
+
+  static #onFlipY(event, target) {
+    if (!this._layoutCanvas) return;
+    if (this._layoutCanvas.getSelectedIndex() < 0) {
+      ui.notifications.warn("Select a scene first by clicking on it.");
+      return;
+    }
+    this._layoutCanvas.flip("y");
+    this._updateSelectedInfo();
+  }
+
   // ---------------------------------------------------------------------------
   // Preview
   // ---------------------------------------------------------------------------
@@ -442,20 +895,51 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     }).render({ force: true });
   }
 
-  static async #onMerge(event, target) {
-    if (!this._layoutCanvas) return;
+  static async #onPlan(event, target) {
+    const merge = await this._prepareMerge();
+    if (!merge) return;
 
-    const layout = this._layoutCanvas.getLayout();
-    if (layout.length < 2) {
-      ui.notifications.warn(game.i18n.localize("SCENE_STITCHER.MinScenesWarning"));
+    let result;
+    try {
+      result = await mergeScenes(merge.layout, { ...merge.options, dryRun: true });
+    } catch (err) {
+      console.error("Scene Stitcher: Merge plan failed", err);
+      ui.notifications.error(game.i18n.localize("SCENE_STITCHER.PlanError").replace("{error}", err.message));
       return;
     }
 
+    // Nothing has been created; the GM merges from the plan or closes it
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize("SCENE_STITCHER.PlanTitle"),
+        icon: "fas fa-clipboard-list",
+        resizable: true,
+      },
+      position: { width: 640, height: 600 },
+      content: this._renderPlan(result),
+      yes: {
+        label: game.i18n.localize("SCENE_STITCHER.MergeButton"),
+        icon: "fas fa-object-group",
+      },
+      no: {
+        label: game.i18n.localize("Close"),
+        icon: "fas fa-times",
+      },
+    });
+    if (confirmed) await this._runMerge(merge);
+  }
+
+  static async #onMerge(event, target) {
+    const merge = await this._prepareMerge();
+    if (!merge) return;
+
     // Confirmation dialog
-    const count = layout.length;
+    let confirmKey = merge.options.flattenBackgrounds ? "SCENE_STITCHER.MergeConfirmFlatten" : "SCENE_STITCHER.MergeConfirmContent";
+    if (merge.targetScene) confirmKey = "SCENE_STITCHER.MergeIntoConfirm";
     const confirmContent = game.i18n
-      .localize("SCENE_STITCHER.MergeConfirmContent")
-      .replace("{count}", count);
+      .localize(confirmKey)
+      .replace("{count}", merge.count)
+      .replace("{name}", foundry.utils.escapeHTML(merge.targetScene?.name ?? ""));
 
     const confirmed = await foundry.applications.api.DialogV2.confirm({
       window: {
@@ -474,35 +958,186 @@ export class SceneStitcherApp extends HandlebarsApplicationMixin(ApplicationV2)
     });
 
     if (!confirmed) return;
+    await this._runMerge(merge);
+  }
+
+  /**
+   * Gather the layout and options for a merge (or its plan), asking for the scene
+   * settings that differ between the sources.
+   *
+   * @returns {Promise<{layout: Object[], options: Object, targetScene: Scene|null, count: number}|null>}
+   *   null if there is nothing to merge or the GM cancelled
+   */
+  async _prepareMerge() {
+    if (!this._layoutCanvas) return null;
+
+    const layout = this._layoutCanvas.getLayout();
+    if (layout.length < 2) {
+      ui.notifications.warn(game.i18n.localize("SCENE_STITCHER.MinScenesWarning"));
+      return null;
+    }
+
+    const options = this._readMergeOptions();
+    const targetScene = game.scenes.get(this._targetSceneId) ?? null;
 
-    // Show progress notification
-    ui.notifications.info(game.i18n.localize("SCENE_STITCHER.MergeInProgress"));
+    // Scene-level settings that differ between the sources; a target keeps its own
+    if (targetScene) {
+      options.targetSceneId = targetScene.id;
+    } else {
+      const scenes = layout.map((l) => game.scenes.get(l.sceneId)).filter(Boolean);
+      const sceneSettings = await this._promptSceneSettings(scenes);
+      if (!sceneSettings) return null;
+      options.sceneSettings = sceneSettings;
+    }
+
+    const count = targetScene ? layout.length - 1 : layout.length;
+    return { layout, options, targetScene, count };
+  }
+
+  /**
+   * Run a prepared merge with live progress, report the outcome and open the scene.
+   *
+   * @param {{layout: Object[], options: Object, targetScene: Scene|null, count: number}} merge
+   */
+  async _runMerge({ layout, options, targetScene, count }) {
+    // Live progress, cancellable between chunks
+    this._mergeAbort = new AbortController();
+    options.signal = this._mergeAbort.signal;
+    options.onProgress = (progress) => this._updateMergeProgress(progress);
+    this._updateMergeProgress(null);
 
     try {
-      const { mergedScene, warnings } = await mergeScenes(layout);
+      const { mergedScene, warnings, wallCleanup, overlap, fog, journal } = await mergeScenes(layout, options);
 
       // Show grid warnings if any
       for (const warning of warnings) {
         ui.notifications.warn(`Scene Stitcher: ${warning}`);
       }
 
+      if (wallCleanup) {
+        ui.notifications.info(
+          game.i18n
+            .localize("SCENE_STITCHER.SeamCleanupReport")
+            .replace("{welded}", wallCleanup.welded)
+            .replace("{duplicates}", wallCleanup.duplicatesRemoved)
+            .replace("{seams}", wallCleanup.seamWallsRemoved)
+        );
+      }
+
+      if (overlap) {
+        ui.notifications.info(
+          game.i18n
+            .localize("SCENE_STITCHER.OverlapReport")
+            .replace("{clipped}", overlap.clipped)
+            .replace("{dropped}", overlap.dropped)
+        );
+      }
+
       // Success
       const successMsg = game.i18n
-        .localize("SCENE_STITCHER.MergeSuccess")
+        .localize(targetScene ? "SCENE_STITCHER.MergeIntoSuccess" : "SCENE_STITCHER.MergeSuccess")
+        .replace("{count}", count)
         .replace("{name}", mergedScene.name);
       ui.notifications.info(successMsg);
 
+      if (fog) {
+        ui.notifications.info(game.i18n.localize("SCENE_STITCHER.MergeFogReport").replace("{users}", fog.users));
+      }
+
+      if (journal) {
+        ui.notifications.info(game.i18n.localize("SCENE_STITCHER.MergeJournalCreated").replace("{name}", journal.name));
+      }
+
       // Navigate to the new scene
       await mergedScene.view();
 
       // Close the app
       this.close();
     } catch (err) {
+      if (options.signal.aborted) {
+        ui.notifications.info(game.i18n.localize("SCENE_STITCHER.MergeCancelled"));
+        return;
+      }
       console.error("Scene Stitcher: Merge failed", err);
       const errorMsg = game.i18n
         .localize("SCENE_STITCHER.MergeError")
         .replace("{error}", err.message);
       ui.notifications.error(errorMsg);
+    } finally {
+      this._mergeAbort = null;
+      this._updateMergeProgress(false);
+    }
+  }
+
+  /**
+   * Render the report of a dry run for the plan dialog.
+   *
+   * @param {{plan: MergePlan, warnings: string[], wallCleanup: Object|null, overlap: Object|null}} result
+   *   From mergeScenes() with `dryRun`
+   * @returns {string} HTML
+   */
+  _renderPlan({ plan, warnings, wallCleanup, overlap }) {
+    const escape = foundry.utils.escapeHTML;
+    const t = (key) => game.i18n.localize(`SCENE_STITCHER.Plan${key}`);
+    const typeLabel = (type) => game.i18n.localize(CONFIG[type]?.documentClass?.metadata?.labelPlural ?? type);
+    const section = (title, items, empty) => `<h4>${title}</h4>${
+      items.length ? `<ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>` : `<p class="hint">${empty}</p>`
+    }`;
+    const limit = (items) => (items.length > PLAN_LIST_LIMIT
+      ? [...items.slice(0, PLAN_LIST_LIMIT), t("More").replace("{count}", items.length - PLAN_LIST_LIMIT)]
+      : items);
+
+    const { width, height, gridSize } = plan.dimensions;
+    const dimensions = t("DimensionsValue")
+      .replace("{width}", width)
+      .replace("{height}", height)
+      .replace("{columns}", Math.round((width / gridSize) * 100) / 100)
+      .replace("{rows}", Math.round((height / gridSize) * 100) / 100);
+
+    // Documents per source (rows) and type (columns)
+    const types = Object.keys(plan.totals);
+    const row = (name, counts) => `<tr><th>${escape(name)}</th>${types.map((type) => `<td>${counts[type] ?? 0}</td>`).join("")}</tr>`;
+    const table = `<table class="scene-stitcher-plan-table">
+        <thead><tr><th></th>${types.map((type) => `<th>${typeLabel(type)}</th>`).join("")}</tr></thead>
+        <tbody>${plan.sources.map((s) => row(s.name, s.counts)).join("")}</tbody>
+        <tfoot>${row(t("Total"), plan.totals)}</tfoot>
+      </table>`;
+
+    const overlaps = plan.overlaps.map((o) => t("OverlapValue")
+      .replace("{lower}", escape(o.lower))
+      .replace("{upper}", escape(o.upper))
+      .replace("{area}", o.area));
+    if (overlap) {
+      overlaps.push(game.i18n.localize("SCENE_STITCHER.OverlapReport").replace("{clipped}", overlap.clipped).replace("{dropped}", overlap.dropped));
+    }
+    if (wallCleanup) {
+      overlaps.push(game.i18n.localize("SCENE_STITCHER.SeamCleanupReport")
+        .replace("{welded}", wallCleanup.welded)
+        .replace("{duplicates}", wallCleanup.duplicatesRemoved)
+        .replace("{seams}", wallCleanup.seamWallsRemoved));
     }
+
+    const outOfBounds = plan.outOfBounds.map((d) =>
+      `${typeLabel(d.documentName)} ${escape(d.sourceDocumentId)} (${escape(d.sourceSceneName)}) &mdash; ${d.x}, ${d.y}`);
+    const missingFiles = plan.missingFiles.map((f) => `${escape(f.sceneName)} (${f.image}): <code>${escape(f.src)}</code>`);
+    const foreignFlags = plan.foreignFlags.map((f) =>
+      `<strong>${escape(f.title)}</strong> <code>${escape(f.scope)}</code>: ${f.documents} (${f.types.map(typeLabel).join(", ")})`);
+
+    return `<div class="scene-stitcher-plan">
+        <h4>${t("Dimensions")}</h4><p>${dimensions}</p>
+        <h4>${t("Documents")}</h4>${table}
+        ${section(t("Warnings"), warnings.map(escape), t("None"))}
+        ${section(t("Overlaps"), overlaps, t("None"))}
+        ${section(t("OutOfBounds"), limit(outOfBounds), t("None"))}
+        ${section(t("MissingFiles"), missingFiles, t("None"))}
+        ${section(t("ForeignFlags"), foreignFlags, t("None"))}
+        ${plan.foreignFlags.length ? `<p class="hint">${t("ForeignFlagsHint")}</p>` : ""}
+      </div>`;
+  }
+
+  static #onCancelMerge(event, target) {
+    if (!this._mergeAbort) return;
+    this._mergeAbort.abort();
+    target.disabled = true;
   }
 }
@@ -5,31 +5,73 @@
  * Renders to an HTML <canvas> element and manages:
  *   - Scene thumbnail rendering with proportional scaling
  *   - Drag to reposition
+ *   - Rotation at any angle (handle drag snaps to 15° steps; Shift for free angles)
+ *     and horizontal / vertical mirroring of each scene; bounds, hit tests and
+ *     snapping use the rotated footprint
  *   - Zoom (scroll wheel + toolbar buttons) centred on cursor, 10%–400%
  *   - Pan (middle-click or Ctrl+drag)
  *   - Independent snap-to-edge on X, Y, or both axes
  *   - Visual snap guides
  *   - Hover tooltip with larger scene preview
  *   - Bounding box overlay
+ *   - Optional rescaling of every scene to a common grid size, or of one scene with
+ *     its corner handles (aspect ratio kept) or a typed percentage
+ *   - Hex-aware snapping, so hex grids of neighbouring scenes stay in step
+ *   - Optional foreground (overhead) image overlay, to check its alignment
+ *   - Crop mode: drag a rectangle on a scene to trim it (e.g. the bleed of split
+ *     exports); snapping and bounds then use the cropped area
+ *   - Highlighting of areas where a higher layer hides part of a lower one
+ *   - A locked entry for an existing target scene that the others are stitched into:
+ *     it stays in place, unscaled and unturned, below every other layer
  */
 
+import { polygonBounds, polygonContainsPoint, rotateRectAbout } from "./geometry.mjs";
+import { getHexLattice, getHexPhase, nearestLatticePoint } from "./hex-grid.mjs";
+
 const MIN_ZOOM = 0.1;
 const MAX_ZOOM = 4.0;
 const ZOOM_STEP = 0.1;
 const SNAP_THRESHOLD = 12; // pixels in canvas-space
+const ROTATION_SNAP = 15; // degrees, for the rotate handle
+const HANDLE_DISTANCE = 30; // pixels in canvas-space, above the selected scene
+const HANDLE_RADIUS = 7; // pixels in canvas-space
+const MIN_SCALE = 0.05;
+const SCALE_MAGNET = 0.04; // relative distance at which a resize snaps to the matching grid
+
+/**
+ * Bring an angle into [0, 360), to a tenth of a degree.
+ * @param {number} degrees
+ * @returns {number}
+ */
+function normaliseRotation(degrees) {
+  const rounded = Math.round((((degrees % 360) + 360) % 360) * 10) / 10;
+  return rounded === 360 ? 0 : rounded;
+}
 
 /**
  * @typedef {Object} SceneEntry
  * @property {string} sceneId
  * @property {string} name
- * @property {number} width      - Scene pixel width
- * @property {number} height     - Scene pixel height
+ * @property {number} width      - Displayed pixel width (source width x scale)
+ * @property {number} height     - Displayed pixel height (source height x scale)
+ * @property {number} sourceWidth  - Source scene pixel width
+ * @property {number} sourceHeight - Source scene pixel height
+ * @property {number} gridSize   - Source grid size in pixels
+ * @property {number} gridType   - Source grid type (CONST.GRID_TYPES)
+ * @property {{x: number, y: number}} origin - Source scene rect origin (padding offset)
+ * @property {number} scale      - Scale factor applied to the source (1 = original size)
  * @property {string|null} backgroundSrc
+ * @property {string|null} foregroundSrc
  * @property {string|null} thumbnail
  * @property {number} x          - Position x in scene-pixel space
  * @property {number} y          - Position y in scene-pixel space
  * @property {number} zIndex     - Layer order (higher = on top)
  * @property {number} rotation   - Rotation in degrees
+ * @property {boolean} flipX      - Mirrored horizontally (before rotation)
+ * @property {boolean} flipY      - Mirrored vertically (before rotation)
+ * @property {{x: number, y: number, width: number, height: number}|null} crop - Crop rectangle in
+ *   source scene pixels (before scaling and mirroring), relative to the scene rect
+ * @property {boolean} locked     - The target scene of a merge into an existing scene
  */
 
 export class LayoutCanvas {
@@ -53,6 +95,9 @@ export class LayoutCanvas {
 
     // Interaction state
     this._dragging = null; // { index, startX, startY, origX, origY }
+    this._cropping = null; // { index, startX, startY } in source scene pixels
+    this._rotating = null; // { index }
+    this._resizing = null; // { index, anchor, signs, corner, startScale }
     this._panning = false;
     this._panStart = { x: 0, y: 0 };
     this._hoveredIndex = -1;
@@ -68,6 +113,13 @@ export class LayoutCanvas {
     // Image cache for thumbnails
     this._imageCache = new Map();
 
+    // Foreground overlay
+    this.showForeground = false;
+    this._foregroundCache = new Map();
+
+    // Crop mode: dragging on a scene draws its crop rectangle instead of moving it
+    this.cropMode = false;
+
     // Tooltip element
     this._tooltip = null;
 
@@ -81,27 +133,71 @@ export class LayoutCanvas {
 
   /**
    * Set the scenes to display in the canvas.
-   * Lays them out in an initial grid arrangement.
+   * Lays them out in an initial grid arrangement. Pieces produced by the split
+   * engine from a single scene are put back at their original offsets instead.
    *
-   * @param {Array<{sceneId: string, name: string, width: number, height: number, backgroundSrc: string|null, thumbnail: string|null}>} sceneInfos
+   * A scene info with `locked` set becomes the fixed target entry, which the others
+   * can be arranged around but not moved below.
+   *
+   * @param {Array<{sceneId: string, name: string, width: number, height: number, gridSize?: number, gridType?: number, origin?: Object, backgroundSrc: string|null, foregroundSrc?: string|null, thumbnail: string|null, splitFrom?: string|null, splitRect?: Object|null, locked?: boolean}>} sceneInfos
    */
   setScenes(sceneInfos) {
     // Arrange in a horizontal row initially, with some gap
     const gap = 20;
     let currentX = gap;
 
+    const splitFrom = sceneInfos[0]?.splitFrom;
+    const restoreSplit = !!splitFrom && sceneInfos.every((info) => info.splitFrom === splitFrom && info.splitRect);
+
     this.scenes = sceneInfos.map((info, idx) => {
+      if (restoreSplit) {
+        return {
+          sceneId: info.sceneId ?? info.id,
+          name: info.name,
+          width: info.width,
+          height: info.height,
+          sourceWidth: info.width,
+          sourceHeight: info.height,
+          gridSize: info.gridSize ?? 100,
+          gridType: info.gridType ?? 1,
+          origin: info.origin ?? { x: 0, y: 0 },
+          scale: 1,
+          backgroundSrc: info.backgroundSrc,
+          foregroundSrc: info.foregroundSrc ?? null,
+          thumbnail: info.thumbnail,
+          x: info.splitRect.x,
+          y: info.splitRect.y,
+          zIndex: idx,
+          rotation: 0,
+          flipX: false,
+          flipY: false,
+          crop: null,
+          locked: !!info.locked,
+        };
+      }
+
       const entry = {
         sceneId: info.sceneId ?? info.id,
         name: info.name,
         width: info.width,
         height: info.height,
+        sourceWidth: info.width,
+        sourceHeight: info.height,
+        gridSize: info.gridSize ?? 100,
+        gridType: info.gridType ?? 1,
+        origin: info.origin ?? { x: 0, y: 0 },
+        scale: 1,
         backgroundSrc: info.backgroundSrc,
+        foregroundSrc: info.foregroundSrc ?? null,
         thumbnail: info.thumbnail,
         x: currentX,
         y: gap,
         zIndex: idx,       // Default layer order = selection order
         rotation: 0,       // No rotation by default
+        flipX: false,
+        flipY: false,
+        crop: null,
+        locked: !!info.locked,
       };
       currentX += info.width + gap;
       return entry;
@@ -118,7 +214,7 @@ export class LayoutCanvas {
   /**
    * Get the current layout positions for the merge engine.
    *
-   * @returns {Array<{sceneId: string, x: number, y: number, width: number, height: number}>}
+   * @returns {Array<{sceneId: string, x: number, y: number, width: number, height: number, scale: number, flipX: boolean, flipY: boolean, crop: Object|null}>}
    */
   getLayout() {
     return this.scenes.map((s) => ({
@@ -129,9 +225,83 @@ export class LayoutCanvas {
       height: s.height,
       zIndex: s.zIndex,
       rotation: s.rotation,
+      scale: s.scale,
+      flipX: s.flipX,
+      flipY: s.flipY,
+      crop: s.crop ? { ...s.crop } : null,
     }));
   }
 
+  /**
+   * Rescale every scene so its grid matches a common grid size, or restore the
+   * original sizes. Positions are scaled by the same factor as each scene, so
+   * scenes that share a grid keep their arrangement and stay edge to edge.
+   *
+   * @param {number|null} gridSize - Target grid size in pixels, or null for original sizes
+   */
+  setGridSize(gridSize) {
+    for (const scene of this.scenes) {
+      if (scene.locked) continue;
+      const scale = gridSize ? gridSize / scene.gridSize : 1;
+      const ratio = scale / scene.scale;
+      scene.x = Math.round(scene.x * ratio);
+      scene.y = Math.round(scene.y * ratio);
+      scene.scale = scale;
+      scene.width = scene.sourceWidth * scale;
+      scene.height = scene.sourceHeight * scale;
+    }
+    this.fitAll();
+    this.onLayoutChange();
+  }
+
+  /**
+   * Scale the selected scene, keeping its centre in place.
+   * @param {number} scale - Scale factor (1 = original size)
+   */
+  setScale(scale) {
+    const scene = this._getEditableScene();
+    if (!scene || !Number.isFinite(scale)) return;
+    const cx = scene.x + scene.width / 2;
+    const cy = scene.y + scene.height / 2;
+    this._applyScale(scene, scale);
+    scene.x = cx - scene.width / 2;
+    scene.y = cy - scene.height / 2;
+    this.render();
+    this.onLayoutChange();
+  }
+
+  /**
+   * Set a scene's scale and size. Position is left to the caller.
+   * @param {SceneEntry} scene
+   * @param {number} scale
+   */
+  _applyScale(scene, scale) {
+    scene.scale = Math.max(MIN_SCALE, Math.round(scale * 10000) / 10000);
+    scene.width = scene.sourceWidth * scene.scale;
+    scene.height = scene.sourceHeight * scene.scale;
+  }
+
+  /**
+   * The scale at which a scene's grid matches the first scene's (scaled) grid, or
+   * the second scene's while the first one is being scaled.
+   * @param {number} index
+   * @returns {number|null}
+   */
+  _getGridMatchingScale(index) {
+    const ref = this.scenes[index === 0 ? 1 : 0];
+    if (!ref) return null;
+    return (ref.gridSize * ref.scale) / this.scenes[index].gridSize;
+  }
+
+  /**
+   * The selected scene, unless it is the locked target.
+   * @returns {SceneEntry|null}
+   */
+  _getEditableScene() {
+    const scene = this.scenes[this._selectedIndex];
+    return scene && !scene.locked ? scene : null;
+  }
+
   /** Get the currently selected scene index */
   getSelectedIndex() {
     return this._selectedIndex;
@@ -146,8 +316,8 @@ export class LayoutCanvas {
    * Move the selected scene forward (higher z-index / rendered on top).
    */
   layerUp() {
-    if (this._selectedIndex < 0) return;
-    const scene = this.scenes[this._selectedIndex];
+    const scene = this._getEditableScene();
+    if (!scene) return;
     const maxZ = Math.max(...this.scenes.map(s => s.zIndex));
     if (scene.zIndex < maxZ) {
       // Find the scene one layer above and swap
@@ -165,8 +335,10 @@ export class LayoutCanvas {
    * Move the selected scene backward (lower z-index / rendered behind).
    */
   layerDown() {
-    if (this._selectedIndex < 0) return;
-    const scene = this.scenes[this._selectedIndex];
+    const scene = this._getEditableScene();
+    if (!scene) return;
+    // The locked target stays the bottom layer
+    if (this.scenes.some((s) => s.locked && s.zIndex >= scene.zIndex - 1)) return;
     const minZ = Math.min(...this.scenes.map(s => s.zIndex));
     if (scene.zIndex > minZ) {
       const below = this.scenes.find(s => s.zIndex === scene.zIndex - 1);
@@ -184,10 +356,65 @@ export class LayoutCanvas {
    * @param {number} degrees
    */
   rotate(degrees) {
-    if (this._selectedIndex < 0) return;
-    const scene = this.scenes[this._selectedIndex];
-    scene.rotation = (scene.rotation + degrees) % 360;
-    if (scene.rotation < 0) scene.rotation += 360;
+    const scene = this._getEditableScene();
+    if (!scene) return;
+    this.setRotation(scene.rotation + degrees);
+  }
+
+  /**
+   * Set the selected scene's rotation to an angle.
+   * @param {number} degrees - Any angle; stored in [0, 360) to a tenth of a degree
+   */
+  setRotation(degrees) {
+    const scene = this._getEditableScene();
+    if (!scene || !Number.isFinite(degrees)) return;
+    scene.rotation = normaliseRotation(degrees);
+    this.render();
+    this.onLayoutChange();
+  }
+
+  /**
+   * Mirror the selected scene horizontally or vertically.
+   * @param {'x'|'y'} axis
+   */
+  flip(axis) {
+    const scene = this._getEditableScene();
+    if (!scene) return;
+    if (axis === "x") scene.flipX = !scene.flipX;
+    else scene.flipY = !scene.flipY;
+    this.render();
+    this.onLayoutChange();
+  }
+
+  /**
+   * Show or hide each scene's foreground image over its background.
+   * @param {boolean} show
+   */
+  setShowForeground(show) {
+    this.showForeground = show;
+    if (show) {
+      for (const scene of this.scenes) this._loadForeground(scene);
+    }
+    this.render();
+  }
+
+  /**
+   * Switch crop mode on or off.
+   * @param {boolean} enabled
+   */
+  setCropMode(enabled) {
+    this.cropMode = enabled;
+    this.canvas.style.cursor = enabled ? "crosshair" : "default";
+    this.render();
+  }
+
+  /**
+   * Remove the selected scene's crop.
+   */
+  clearCrop() {
+    const scene = this._getEditableScene();
+    if (!scene) return;
+    scene.crop = null;
     this.render();
     this.onLayoutChange();
   }
@@ -203,10 +430,11 @@ export class LayoutCanvas {
       maxX = -Infinity,
       maxY = -Infinity;
     for (const s of this.scenes) {
-      minX = Math.min(minX, s.x);
-      minY = Math.min(minY, s.y);
-      maxX = Math.max(maxX, s.x + s.width);
-      maxY = Math.max(maxY, s.y + s.height);
+      const r = this._getBounds(s);
+      minX = Math.min(minX, r.x);
+      minY = Math.min(minY, r.y);
+      maxX = Math.max(maxX, r.x + r.width);
+      maxY = Math.max(maxY, r.y + r.height);
     }
 
     const contentWidth = maxX - minX;
@@ -312,6 +540,9 @@ export class LayoutCanvas {
       this._drawScene(ctx, this.scenes[i], i);
     }
 
+    // Hidden areas of lower layers, over everything
+    this._drawOverlaps(ctx, sortedIndices);
+
     ctx.restore();
   }
 
@@ -345,10 +576,11 @@ export class LayoutCanvas {
       maxX = -Infinity,
       maxY = -Infinity;
     for (const s of this.scenes) {
-      minX = Math.min(minX, s.x);
-      minY = Math.min(minY, s.y);
-      maxX = Math.max(maxX, s.x + s.width);
-      maxY = Math.max(maxY, s.y + s.height);
+      const r = this._getBounds(s);
+      minX = Math.min(minX, r.x);
+      minY = Math.min(minY, r.y);
+      maxX = Math.max(maxX, r.x + r.width);
+      maxY = Math.max(maxY, r.y + r.height);
     }
 
     ctx.strokeStyle = "rgba(79, 209, 197, 0.5)";
@@ -407,10 +639,8 @@ export class LayoutCanvas {
     ctx.fillRect(scene.x, scene.y, scene.width, scene.height);
 
     // Draw the thumbnail / background image if loaded
-    const img = this._imageCache.get(scene.sceneId);
-    if (img?.complete && img.naturalWidth > 0) {
-      ctx.drawImage(img, scene.x, scene.y, scene.width, scene.height);
-    }
+    this._drawImages(ctx, scene);
+    this._drawCrop(ctx, scene);
 
     // Border
     ctx.strokeStyle = isDragging
@@ -421,7 +651,39 @@ export class LayoutCanvas {
           ? "#63b3ed"
           : "rgba(255, 255, 255, 0.3)";
     ctx.lineWidth = (isDragging || isSelected ? 3 : isHovered ? 2 : 1) / this.zoom;
+    // The locked target gets a dashed gold outline
+    if (scene.locked) {
+      ctx.strokeStyle = isSelected ? "#a855f7" : "#ecc94b";
+      ctx.setLineDash([8 / this.zoom, 4 / this.zoom]);
+    }
     ctx.strokeRect(scene.x, scene.y, scene.width, scene.height);
+    ctx.setLineDash([]);
+
+    // Rotate handle above the top edge of the selected scene
+    if (isSelected && !scene.locked) {
+      const hx = scene.x + scene.width / 2;
+      const hy = scene.y - HANDLE_DISTANCE / this.zoom;
+      ctx.beginPath();
+      ctx.moveTo(hx, scene.y);
+      ctx.lineTo(hx, hy);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(hx, hy, HANDLE_RADIUS / this.zoom, 0, Math.PI * 2);
+      ctx.fillStyle = this._rotating ? "#4fd1c5" : "#a855f7";
+      ctx.fill();
+
+      // Resize handles on the corners
+      const size = (HANDLE_RADIUS * 2) / this.zoom;
+      ctx.fillStyle = this._resizing ? "#4fd1c5" : "#a855f7";
+      for (const [x, y] of [
+        [scene.x, scene.y],
+        [scene.x + scene.width, scene.y],
+        [scene.x + scene.width, scene.y + scene.height],
+        [scene.x, scene.y + scene.height],
+      ]) {
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
+      }
+    }
 
     // Label
     const fontSize = Math.max(14, 16 / this.zoom);
@@ -431,8 +693,12 @@ export class LayoutCanvas {
     // Label text: name + layer info + rotation info
     let labelText = scene.name;
     const extraInfo = [];
-    extraInfo.push(`L:${scene.zIndex}`);
+    if (scene.locked) extraInfo.push("\u{1F512}");
+    else extraInfo.push(`L:${scene.zIndex}`);
     if (scene.rotation) extraInfo.push(`${scene.rotation}\u00B0`);
+    if (scene.flipX) extraInfo.push("\u21C4");
+    if (scene.flipY) extraInfo.push("\u21C5");
+    if (scene.scale !== 1) extraInfo.push(`x${Math.round(scene.scale * 100) / 100}`);
     if (extraInfo.length) labelText += ` [${extraInfo.join(" ")}]`;
 
     const metrics = ctx.measureText(labelText);
@@ -449,6 +715,84 @@ export class LayoutCanvas {
     ctx.restore();
   }
 
+  /**
+   * Draw a scene's background thumbnail and foreground, mirrored if it is flipped.
+   * Expects the context to be rotated for the scene already.
+   */
+  _drawImages(ctx, scene) {
+    ctx.save();
+    if (scene.flipX || scene.flipY) {
+      const cx = scene.x + scene.width / 2;
+      const cy = scene.y + scene.height / 2;
+      ctx.translate(cx, cy);
+      ctx.scale(scene.flipX ? -1 : 1, scene.flipY ? -1 : 1);
+      ctx.translate(-cx, -cy);
+    }
+    const img = this._imageCache.get(scene.sceneId);
+    if (img?.complete && img.naturalWidth > 0) {
+      ctx.drawImage(img, scene.x, scene.y, scene.width, scene.height);
+    }
+    this._drawForeground(ctx, scene);
+    ctx.restore();
+  }
+
+  /**
+   * Darken the part of a scene outside its crop and outline the crop.
+   * Expects the context to be rotated for the scene already.
+   */
+  _drawCrop(ctx, scene) {
+    if (!scene.crop) return;
+    const r = this._getVisibleRect(scene);
+
+    ctx.beginPath();
+    ctx.rect(scene.x, scene.y, scene.width, scene.height);
+    ctx.rect(r.x, r.y, r.width, r.height);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fill("evenodd");
+
+    ctx.strokeStyle = "#f6ad55";
+    ctx.lineWidth = 2 / this.zoom;
+    ctx.setLineDash([6 / this.zoom, 4 / this.zoom]);
+    ctx.strokeRect(r.x, r.y, r.width, r.height);
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Hatch every area where a scene is hidden under a higher layer: what the merge's
+   * overlap policy clips or drops.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number[]} sortedIndices - Scene indices, lowest layer first
+   */
+  _drawOverlaps(ctx, sortedIndices) {
+    for (let a = 0; a < sortedIndices.length; a++) {
+      const lower = this.scenes[sortedIndices[a]];
+      for (let b = a + 1; b < sortedIndices.length; b++) {
+        const upper = this.scenes[sortedIndices[b]];
+        ctx.save();
+        this._traceVisibleRect(ctx, lower);
+        ctx.clip();
+        this._traceVisibleRect(ctx, upper);
+        // No outline: scenes that only touch would get a line along their shared edge
+        ctx.fillStyle = "rgba(229, 62, 62, 0.35)";
+        ctx.fill();
+        ctx.restore();
+      }
+    }
+  }
+
+  /**
+   * Start a path around a scene's visible (cropped) rectangle, rotated with the scene.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {SceneEntry} s
+   */
+  _traceVisibleRect(ctx, s) {
+    const points = this._getFootprint(s);
+    ctx.beginPath();
+    ctx.moveTo(points[0], points[1]);
+    for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+    ctx.closePath();
+  }
+
   // ---------------------------------------------------------------------------
   // Image loading
   // ---------------------------------------------------------------------------
@@ -473,6 +817,32 @@ export class LayoutCanvas {
     this._imageCache.set(scene.sceneId, img);
   }
 
+  _loadForeground(scene) {
+    const src = scene.foregroundSrc;
+    // Video foregrounds have no static frame to show
+    if (!src || /\.(mp4|webm|ogg)$/i.test(src) || this._foregroundCache.has(scene.sceneId)) return;
+
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => this.render();
+    img.src = src;
+    this._foregroundCache.set(scene.sceneId, img);
+  }
+
+  /**
+   * Draw a scene's foreground over its rectangle, slightly see-through so the
+   * background stays visible for lining the two up.
+   */
+  _drawForeground(ctx, scene) {
+    if (!this.showForeground) return;
+    const img = this._foregroundCache.get(scene.sceneId);
+    if (!img?.complete || !img.naturalWidth) return;
+    ctx.save();
+    ctx.globalAlpha = 0.75;
+    ctx.drawImage(img, scene.x, scene.y, scene.width, scene.height);
+    ctx.restore();
+  }
+
   // ---------------------------------------------------------------------------
   // Tooltip
   // ---------------------------------------------------------------------------
@@ -497,8 +867,11 @@ export class LayoutCanvas {
         ${!src && !scene.thumbnail ? `<div class="scene-stitcher-tooltip-noimg">No preview</div>` : ""}
         <div class="scene-stitcher-tooltip-info">
           <strong>${scene.name}</strong>
-          <span>${scene.width} x ${scene.height} px</span>
+          <span>${Math.round(scene.width)} x ${Math.round(scene.height)} px</span>
+          <span>Grid: ${scene.gridSize} px${scene.scale !== 1 ? ` (scaled to ${Math.round(scene.gridSize * scene.scale)} px)` : ""}</span>
           ${isVideo ? "<span>Video background</span>" : ""}
+          ${scene.foregroundSrc ? "<span>Foreground image</span>" : ""}
+          ${scene.crop ? `<span>Cropped to ${Math.round(scene.crop.width)} x ${Math.round(scene.crop.height)} px</span>` : ""}
         </div>
       </div>
     `;
@@ -550,18 +923,132 @@ export class LayoutCanvas {
     };
   }
 
+  /**
+   * The part of a scene that ends up in the merge: its crop rectangle (mirrored
+   * with a flipped scene), or the whole scene. Matches getLayoutVisibleBox() in the
+   * merge engine.
+   * @param {SceneEntry} s
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  _getVisibleRect(s) {
+    if (!s.crop) return { x: s.x, y: s.y, width: s.width, height: s.height };
+    const { crop, scale } = s;
+    return {
+      x: s.x + (s.flipX ? s.width - (crop.x + crop.width) * scale : crop.x * scale),
+      y: s.y + (s.flipY ? s.height - (crop.y + crop.height) * scale : crop.y * scale),
+      width: crop.width * scale,
+      height: crop.height * scale,
+    };
+  }
+
+  /**
+   * A scene's visible rectangle (or whole rect), rotated about the scene centre, as
+   * a flat polygon in scene-pixel space.
+   * @param {SceneEntry} s
+   * @param {boolean} [whole=false] - Use the whole scene rect, ignoring the crop
+   * @returns {number[]}
+   */
+  _getFootprint(s, whole = false) {
+    const rect = whole ? { x: s.x, y: s.y, width: s.width, height: s.height } : this._getVisibleRect(s);
+    return rotateRectAbout(rect, s.rotation ?? 0, { x: s.x + s.width / 2, y: s.y + s.height / 2 });
+  }
+
+  /**
+   * Axis-aligned bounds of a scene's rotated footprint. Matches getLayoutBounds() in
+   * the merge engine, so the bounding box here is the merged scene's size.
+   * @param {SceneEntry} s
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  _getBounds(s) {
+    return s.rotation ? polygonBounds(this._getFootprint(s)) : this._getVisibleRect(s);
+  }
+
+  /**
+   * Whether a canvas point is on the rotate handle of the selected scene.
+   * @param {number} canvasX
+   * @param {number} canvasY
+   * @returns {boolean}
+   */
+  _hitRotateHandle(canvasX, canvasY) {
+    const s = this._getEditableScene();
+    if (!s) return false;
+    const cx = s.x + s.width / 2;
+    const cy = s.y + s.height / 2;
+    const distance = s.height / 2 + HANDLE_DISTANCE / this.zoom;
+    const rad = (s.rotation * Math.PI) / 180;
+    // The handle sits straight above the centre before rotation
+    const handle = this._sceneToCanvas(cx + distance * Math.sin(rad), cy - distance * Math.cos(rad));
+    return Math.hypot(canvasX - handle.x, canvasY - handle.y) <= HANDLE_RADIUS + 3;
+  }
+
+  /**
+   * The corner resize handle of the selected scene under a canvas point.
+   * @param {number} canvasX
+   * @param {number} canvasY
+   * @returns {number} Corner index (0 top-left, clockwise, before rotation), or -1
+   */
+  _hitResizeHandle(canvasX, canvasY) {
+    const s = this._getEditableScene();
+    if (!s) return -1;
+    const corners = this._getFootprint(s, true);
+    for (let i = 0; i < 4; i++) {
+      const p = this._sceneToCanvas(corners[i * 2], corners[i * 2 + 1]);
+      if (Math.abs(canvasX - p.x) <= HANDLE_RADIUS + 2 && Math.abs(canvasY - p.y) <= HANDLE_RADIUS + 2) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Canvas pixel -> a scene's own source pixels (unrotated, unmirrored, unscaled),
+   * clamped to the scene, and snapped to its grid lines unless snapping is off or
+   * Shift is held.
+   * @param {SceneEntry} s
+   * @param {number} cx
+   * @param {number} cy
+   * @param {boolean} shiftHeld
+   * @returns {{x: number, y: number}}
+   */
+  _canvasToSource(s, cx, cy, shiftHeld) {
+    let { x, y } = this._canvasToScene(cx, cy);
+    if (s.rotation) {
+      const mx = s.x + s.width / 2;
+      const my = s.y + s.height / 2;
+      const rad = (-s.rotation * Math.PI) / 180;
+      const dx = x - mx;
+      const dy = y - my;
+      x = mx + dx * Math.cos(rad) - dy * Math.sin(rad);
+      y = my + dx * Math.sin(rad) + dy * Math.cos(rad);
+    }
+    if (s.flipX) x = 2 * s.x + s.width - x;
+    if (s.flipY) y = 2 * s.y + s.height - y;
+    x = (x - s.x) / s.scale;
+    y = (y - s.y) / s.scale;
+
+    // Grid lines are anchored at the source canvas origin, padding included
+    if (!shiftHeld && s.gridType === CONST.GRID_TYPES.SQUARE) {
+      const g = s.gridSize;
+      if (this.snapX) x = Math.round((x + s.origin.x) / g) * g - s.origin.x;
+      if (this.snapY) y = Math.round((y + s.origin.y) / g) * g - s.origin.y;
+    }
+    return {
+      x: Math.max(0, Math.min(s.sourceWidth, x)),
+      y: Math.max(0, Math.min(s.sourceHeight, y)),
+    };
+  }
+
   // ---------------------------------------------------------------------------
   // Hit testing
   // ---------------------------------------------------------------------------
 
   _hitTest(canvasX, canvasY) {
     const { x, y } = this._canvasToScene(canvasX, canvasY);
-    // Check in reverse order so top-rendered scenes are hit first
-    for (let i = this.scenes.length - 1; i >= 0; i--) {
-      const s = this.scenes[i];
-      if (x >= s.x && x <= s.x + s.width && y >= s.y && y <= s.y + s.height) {
-        return i;
-      }
+    // Check the top-rendered scenes first. Scenes are hit on their rotated, cropped
+    // footprint, except in crop mode, where the whole scene can be cropped again
+    const order = this.scenes
+      .map((s, i) => i)
+      .sort((a, b) => this.scenes[b].zIndex - this.scenes[a].zIndex || b - a);
+    for (const i of order) {
+      if (polygonContainsPoint(this._getFootprint(this.scenes[i], this.cropMode), x, y)) return i;
     }
     return -1;
   }
@@ -579,15 +1066,19 @@ export class LayoutCanvas {
       return { x: newX, y: newY };
     }
 
+    // Scenes snap on the bounds of their rotated, cropped footprint
     const dragged = this.scenes[dragIndex];
-    const dw = dragged.width;
-    const dh = dragged.height;
+    const visible = this._getBounds(dragged);
+    const ox = visible.x - dragged.x;
+    const oy = visible.y - dragged.y;
+    const dw = visible.width;
+    const dh = visible.height;
 
     // Edges of the dragged scene at the proposed position
-    const dLeft = newX;
-    const dRight = newX + dw;
-    const dTop = newY;
-    const dBottom = newY + dh;
+    const dLeft = newX + ox;
+    const dRight = dLeft + dw;
+    const dTop = newY + oy;
+    const dBottom = dTop + dh;
 
     let snappedX = newX;
     let snappedY = newY;
@@ -595,7 +1086,7 @@ export class LayoutCanvas {
 
     for (let i = 0; i < this.scenes.length; i++) {
       if (i === dragIndex) continue;
-      const other = this.scenes[i];
+      const other = this._getBounds(this.scenes[i]);
       const oLeft = other.x;
       const oRight = other.x + other.width;
       const oTop = other.y;
@@ -605,22 +1096,22 @@ export class LayoutCanvas {
       if (this.snapX) {
         // Left edge -> right edge of other
         if (Math.abs(dLeft - oRight) < threshold) {
-          snappedX = oRight;
+          snappedX = oRight - ox;
           guides.push({ axis: "x", value: oRight });
         }
         // Right edge -> left edge of other
         if (Math.abs(dRight - oLeft) < threshold) {
-          snappedX = oLeft - dw;
+          snappedX = oLeft - dw - ox;
           guides.push({ axis: "x", value: oLeft });
         }
         // Left -> left
         if (Math.abs(dLeft - oLeft) < threshold) {
-          snappedX = oLeft;
+          snappedX = oLeft - ox;
           guides.push({ axis: "x", value: oLeft });
         }
         // Right -> right
         if (Math.abs(dRight - oRight) < threshold) {
-          snappedX = oRight - dw;
+          snappedX = oRight - dw - ox;
           guides.push({ axis: "x", value: oRight });
         }
       }
@@ -629,29 +1120,67 @@ export class LayoutCanvas {
       if (this.snapY) {
         // Top edge -> bottom edge of other
         if (Math.abs(dTop - oBottom) < threshold) {
-          snappedY = oBottom;
+          snappedY = oBottom - oy;
           guides.push({ axis: "y", value: oBottom });
         }
         // Bottom edge -> top edge of other
         if (Math.abs(dBottom - oTop) < threshold) {
-          snappedY = oTop - dh;
+          snappedY = oTop - dh - oy;
           guides.push({ axis: "y", value: oTop });
         }
         // Top -> top
         if (Math.abs(dTop - oTop) < threshold) {
-          snappedY = oTop;
+          snappedY = oTop - oy;
           guides.push({ axis: "y", value: oTop });
         }
         // Bottom -> bottom
         if (Math.abs(dBottom - oBottom) < threshold) {
-          snappedY = oBottom - dh;
+          snappedY = oBottom - dh - oy;
           guides.push({ axis: "y", value: oBottom });
         }
       }
     }
 
     this._snapGuides = guides;
-    return { x: snappedX, y: snappedY };
+    return this._snapToHexGrid(dragIndex, snappedX, snappedY);
+  }
+
+  /**
+   * On hex grids, move a proposed position to the nearest one where the dragged
+   * scene's hexes line up with those of a reference scene (the first one, or the
+   * second while the first is dragged). The merge engine aligns to the same lattice.
+   *
+   * @param {number} dragIndex
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  _snapToHexGrid(dragIndex, x, y) {
+    const ref = this.scenes[dragIndex === 0 ? 1 : 0];
+    const dragged = this.scenes[dragIndex];
+    if (!ref || dragged.gridType !== ref.gridType) return { x, y };
+
+    const lattice = getHexLattice({ type: ref.gridType, size: ref.gridSize * ref.scale });
+    if (!lattice) return { x, y };
+
+    const phase = (s) =>
+      getHexPhase({
+        width: s.sourceWidth,
+        height: s.sourceHeight,
+        origin: s.origin,
+        scale: s.scale,
+        rotation: s.rotation,
+        flipX: s.flipX,
+        flipY: s.flipY,
+      });
+    const refPhase = phase(ref);
+    const dragPhase = phase(dragged);
+    if (!refPhase || !dragPhase) return { x, y };
+
+    const baseX = ref.x + refPhase.x - dragPhase.x;
+    const baseY = ref.y + refPhase.y - dragPhase.y;
+    const p = nearestLatticePoint(lattice, x - baseX, y - baseY);
+    return { x: baseX + p.x, y: baseY + p.y };
   }
 
   // ---------------------------------------------------------------------------
@@ -712,6 +1241,33 @@ export class LayoutCanvas {
       return;
     }
 
+    // Left-click on a corner handle scales the selected scene about the opposite corner
+    const corner = e.button === 0 ? this._hitResizeHandle(cx, cy) : -1;
+    if (corner >= 0) {
+      const scene = this.scenes[this._selectedIndex];
+      const corners = this._getFootprint(scene, true);
+      const opposite = (corner + 2) % 4;
+      const signs = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+      this._resizing = {
+        index: this._selectedIndex,
+        anchor: { x: corners[opposite * 2], y: corners[opposite * 2 + 1] },
+        corner: { x: corners[corner * 2], y: corners[corner * 2 + 1] },
+        signs: signs[opposite],
+        startScale: scene.scale,
+      };
+      this.canvas.setPointerCapture(e.pointerId);
+      this._hideTooltip();
+      return;
+    }
+
+    // Left-click on the rotate handle turns the selected scene
+    if (e.button === 0 && this._hitRotateHandle(cx, cy)) {
+      this._rotating = { index: this._selectedIndex };
+      this.canvas.setPointerCapture(e.pointerId);
+      this._hideTooltip();
+      return;
+    }
+
     // Left-click to select and drag a scene
     if (e.button === 0) {
       const index = this._hitTest(cx, cy);
@@ -723,6 +1279,19 @@ export class LayoutCanvas {
         this.onLayoutChange(); // Notify app so it can update layer/rotation controls
       }
 
+      // The locked target can be selected, but not moved or cropped
+      if (this.scenes[index]?.locked) return;
+
+      // In crop mode, drag out the scene's crop rectangle instead of moving it
+      if (index >= 0 && this.cropMode) {
+        const scene = this.scenes[index];
+        const start = this._canvasToSource(scene, cx, cy, e.shiftKey);
+        this._cropping = { index, startX: start.x, startY: start.y, previous: scene.crop };
+        this.canvas.setPointerCapture(e.pointerId);
+        this._hideTooltip();
+        return;
+      }
+
       if (index >= 0) {
         const scene = this.scenes[index];
         const scenePos = this._canvasToScene(cx, cy);
@@ -753,6 +1322,62 @@ export class LayoutCanvas {
       return;
     }
 
+    // Scaling a scene with a corner handle: the pointer is projected onto the
+    // diagonal, so the aspect ratio is kept
+    if (this._resizing) {
+      const { index, anchor, corner, signs, startScale } = this._resizing;
+      const scene = this.scenes[index];
+      const p = this._canvasToScene(cx, cy);
+      const dx = corner.x - anchor.x;
+      const dy = corner.y - anchor.y;
+      const lengthSq = dx * dx + dy * dy;
+      let scale = (startScale * ((p.x - anchor.x) * dx + (p.y - anchor.y) * dy)) / lengthSq;
+
+      // Snap to the scale that matches the reference grid, otherwise to whole percent
+      const matching = this._getGridMatchingScale(index);
+      if (!e.shiftKey) {
+        scale = matching && Math.abs(scale - matching) / matching < SCALE_MAGNET ? matching : Math.round(scale * 100) / 100;
+      }
+      this._applyScale(scene, scale);
+
+      // Keep the anchor corner where it was, under the scene's rotation
+      const rad = (scene.rotation * Math.PI) / 180;
+      const ox = (signs[0] * scene.width) / 2;
+      const oy = (signs[1] * scene.height) / 2;
+      const centreX = anchor.x - (ox * Math.cos(rad) - oy * Math.sin(rad));
+      const centreY = anchor.y - (ox * Math.sin(rad) + oy * Math.cos(rad));
+      scene.x = centreX - scene.width / 2;
+      scene.y = centreY - scene.height / 2;
+      this.render();
+      return;
+    }
+
+    // Turning a scene with its handle
+    if (this._rotating) {
+      const scene = this.scenes[this._rotating.index];
+      const p = this._canvasToScene(cx, cy);
+      const angle = (Math.atan2(p.y - (scene.y + scene.height / 2), p.x - (scene.x + scene.width / 2)) * 180) / Math.PI + 90;
+      const snapped = e.shiftKey ? angle : Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+      scene.rotation = normaliseRotation(snapped);
+      this.render();
+      return;
+    }
+
+    // Drawing a crop rectangle
+    if (this._cropping) {
+      const scene = this.scenes[this._cropping.index];
+      const end = this._canvasToSource(scene, cx, cy, e.shiftKey);
+      const { startX, startY } = this._cropping;
+      scene.crop = {
+        x: Math.min(startX, end.x),
+        y: Math.min(startY, end.y),
+        width: Math.abs(end.x - startX),
+        height: Math.abs(end.y - startY),
+      };
+      this.render();
+      return;
+    }
+
     // Dragging a scene
     if (this._dragging) {
       const scenePos = this._canvasToScene(cx, cy);
@@ -783,7 +1408,7 @@ export class LayoutCanvas {
     const index = this._hitTest(cx, cy);
     if (index !== this._hoveredIndex) {
       this._hoveredIndex = index;
-      this.canvas.style.cursor = index >= 0 ? "grab" : "default";
+      this.canvas.style.cursor = this.cropMode ? "crosshair" : index >= 0 ? "grab" : "default";
 
       if (index >= 0) {
         this._showTooltip(this.scenes[index], cx, cy);
@@ -799,6 +1424,30 @@ export class LayoutCanvas {
   }
 
   _handlePointerUp(e) {
+    if (this._resizing) {
+      this._resizing = null;
+      this.render();
+      this.onLayoutChange();
+    }
+    if (this._rotating) {
+      this._rotating = null;
+      this.render();
+      this.onLayoutChange();
+    }
+    if (this._cropping) {
+      // A click or a sliver keeps the previous crop; a crop of the whole scene is none
+      const scene = this.scenes[this._cropping.index];
+      const minSize = Math.min(scene.gridSize / 2, 16);
+      const crop = scene.crop;
+      if (!crop || crop === this._cropping.previous || crop.width < minSize || crop.height < minSize) {
+        scene.crop = this._cropping.previous;
+      } else if (crop.width >= scene.sourceWidth && crop.height >= scene.sourceHeight) {
+        scene.crop = null;
+      }
+      this._cropping = null;
+      this.render();
+      this.onLayoutChange();
+    }
     if (this._dragging) {
       this._snapGuides = [];
       this._dragging = null;
@@ -836,10 +1485,11 @@ export class LayoutCanvas {
     // Compute bounding box
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     for (const s of this.scenes) {
-      minX = Math.min(minX, s.x);
-      minY = Math.min(minY, s.y);
-      maxX = Math.max(maxX, s.x + s.width);
-      maxY = Math.max(maxY, s.y + s.height);
+      const r = this._getBounds(s);
+      minX = Math.min(minX, r.x);
+      minY = Math.min(minY, r.y);
+      maxX = Math.max(maxX, r.x + r.width);
+      maxY = Math.max(maxY, r.y + r.height);
     }
     const contentW = maxX - minX;
     const contentH = maxY - minY;
@@ -874,20 +1524,25 @@ export class LayoutCanvas {
         ctx.translate(-cx, -cy);
       }
 
+      if (scene.crop) {
+        const r = this._getVisibleRect(scene);
+        ctx.beginPath();
+        ctx.rect(r.x, r.y, r.width, r.height);
+        ctx.clip();
+      }
+
       // Fill background
       ctx.fillStyle = "rgba(30, 30, 50, 1)";
       ctx.fillRect(scene.x, scene.y, scene.width, scene.height);
 
       // Draw image if available
-      const img = this._imageCache.get(scene.sceneId);
-      if (img?.complete && img.naturalWidth > 0) {
-        ctx.drawImage(img, scene.x, scene.y, scene.width, scene.height);
-      }
+      this._drawImages(ctx, scene);
 
       // Thin border
+      const border = this._getVisibleRect(scene);
       ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
       ctx.lineWidth = 2 / scale;
-      ctx.strokeRect(scene.x, scene.y, scene.width, scene.height);
+      ctx.strokeRect(border.x, border.y, border.width, border.height);
 
       ctx.restore();
     }
@@ -0,0 +1,72 @@
+/**
+ * Scene Stitcher — Document Clipping
+ *
+ * Cuts embedded document data down to a rectangle, for the split engine's pieces
+ * and the merge engine's per-scene crops:
+ *   - Walls are clipped at the boundary
+ *   - Region polygons and rectangles are clipped; circles and ellipses are kept
+ *     whole when their centre is inside
+ *   - Everything else is kept when its anchor (or centre) is inside
+ */
+
+import { clipPolygonToRect, clipSegmentToRect, intersectRects, rectContainsPoint, rotatedRectToPolygon } from "./geometry.mjs";
+
+/**
+ * Clip a document to a rectangle.
+ * Point-like documents are kept when their anchor (or centre) lies inside;
+ * walls and region polygons are cut at the boundary.
+ *
+ * @param {Object} type - Entry from EMBEDDED_TYPES
+ * @param {Object} data - Document data in the same coordinate space as the rectangle (mutated)
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {number} gridSize
+ * @returns {Object|null} The document data, or null if it falls outside
+ */
+export function clipDocument(type, data, rect, gridSize) {
+  switch (type.documentName) {
+    case "Wall": {
+      const clipped = clipSegmentToRect(data.c, rect);
+      if (!clipped) return null;
+      data.c = clipped.map(Math.round);
+      if (data.c[0] === data.c[2] && data.c[1] === data.c[3]) return null;
+      return data;
+    }
+    case "Region":
+      data.shapes = (data.shapes ?? []).map((shape) => clipRegionShape(shape, rect)).filter(Boolean);
+      return data.shapes.length ? data : null;
+    default: {
+      // Point documents by their position, boxes (tokens, tiles, drawings) by their centre
+      const anchor = type.anchorFn(data, gridSize);
+      return rectContainsPoint(rect, anchor.x, anchor.y) ? data : null;
+    }
+  }
+}
+
+/**
+ * Clip a single Region shape to a rectangle.
+ * Polygons and rectangles are cut exactly; circles and ellipses cannot be
+ * represented once cut, so they are kept whole when their centre is inside.
+ *
+ * @param {Object} shape
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {Object|null}
+ */
+function clipRegionShape(shape, rect) {
+  switch (shape.type) {
+    case "polygon": {
+      const points = clipPolygonToRect(shape.points ?? [], rect);
+      return points.length >= 6 ? { ...shape, points: points.map(Math.round) } : null;
+    }
+    case "rectangle": {
+      if (!shape.rotation) {
+        const overlap = intersectRects(shape, rect);
+        return overlap ? { ...shape, ...overlap } : null;
+      }
+      const polygon = rotatedRectToPolygon(shape.x, shape.y, shape.width, shape.height, shape.rotation);
+      const points = clipPolygonToRect(polygon, rect);
+      return points.length >= 6 ? { type: "polygon", hole: shape.hole ?? false, points: points.map(Math.round) } : null;
+    }
+    default:
+      return rectContainsPoint(rect, shape.x, shape.y) ? shape : null;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Scene Stitcher — Document Filters
+ *
+ * Decides which embedded documents of the source scenes are copied into a merge:
+ *   - Whole document types switched on or off (e.g. walls, lights and regions only)
+ *   - Visibility: only hidden, or only visible, documents of types that can be hidden
+ *   - Token dispositions (friendly, neutral, hostile, secret)
+ *   - Drawing authors
+ *   - A flag that documents must have, or must not have
+ *
+ * Filters are plain objects stored with the merged scene, so re-syncs copy the same
+ * documents. An empty object copies everything.
+ */
+
+/**
+ * @typedef {Object} DocumentFilters
+ * @property {Object<string, boolean>} [types] - documentName -> whether to copy it (missing = copied)
+ * @property {'all'|'hidden'|'visible'} [visibility='all'] - For documents with a `hidden` field
+ * @property {number[]|null} [dispositions] - Token dispositions to copy (null = all)
+ * @property {string[]|null} [authors] - User IDs whose drawings are copied (null = all)
+ * @property {{path: string, value?: string, exclude?: boolean}|null} [flag] - Flag path such as
+ *   "my-module.prep" that must be set (or equal `value`), or with `exclude`, must not be
+ */
+
+/**
+ * Whether a document type is copied at all.
+ *
+ * @param {string} documentName
+ * @param {DocumentFilters} [filters]
+ * @returns {boolean}
+ */
+export function isTypeIncluded(documentName, filters = {}) {
+  return filters.types?.[documentName] !== false;
+}
+
+/**
+ * Whether one source document passes the filters.
+ *
+ * @param {string} documentName
+ * @param {Object} data - Source document data (before transformation)
+ * @param {DocumentFilters} [filters]
+ * @returns {boolean}
+ */
+export function matchesFilters(documentName, data, filters = {}) {
+  if (!isTypeIncluded(documentName, filters)) return false;
+
+  // Walls, notes and regions cannot be hidden and are unaffected
+  if ("hidden" in data && filters.visibility && filters.visibility !== "all") {
+    if (!!data.hidden !== (filters.visibility === "hidden")) return false;
+  }
+
+  if (documentName === "Token" && filters.dispositions) {
+    if (!filters.dispositions.includes(data.disposition)) return false;
+  }
+
+  if (documentName === "Drawing" && filters.authors) {
+    if (!filters.authors.includes(data.author)) return false;
+  }
+
+  if (filters.flag?.path) {
+    const value = foundry.utils.getProperty(data.flags ?? {}, filters.flag.path);
+    const matches = filters.flag.value ? String(value) === filters.flag.value : !!value;
+    if (matches === !!filters.flag.exclude) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Count each type's documents across scenes, before and after filtering.
+ *
+ * @param {Scene[]} scenes
+ * @param {Array<{collection: string, documentName: string}>} types - EMBEDDED_TYPES
+ * @param {DocumentFilters} [filters]
+ * @returns {Object<string, {total: number, included: number}>} Keyed by documentName
+ */
+export function countFilteredDocuments(scenes, types, filters = {}) {
+  const counts = {};
+  for (const type of types) {
+    const count = { total: 0, included: 0 };
+    for (const scene of scenes) {
+      for (const doc of scene[type.collection] ?? []) {
+        count.total++;
+        if (matchesFilters(type.documentName, doc._source, filters)) count.included++;
+      }
+    }
+    counts[type.documentName] = count;
+  }
+  return counts;
+}
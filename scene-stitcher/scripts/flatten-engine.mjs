@@ -0,0 +1,157 @@
+/**
+ * Scene Stitcher — Flatten Engine
+ *
+ * Bakes the per-source background Tiles of a merge into a single image:
+ *   - Every static background is drawn at full source resolution, in zIndex order,
+ *     with the same position and rotation its Tile would have
+ *   - The result is uploaded as WebP or PNG through Foundry's FilePicker
+ *   - Output larger than the GPU texture limit is cut into chunks, one Tile each
+ *
+ * Video backgrounds cannot be baked and keep their own Tiles.
+ */
+
+import { isVideoSource, loadImage, slugify, uploadCanvas } from "./image-utils.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Used when the renderer cannot be queried; supported by virtually every GPU */
+const DEFAULT_MAX_TEXTURE_SIZE = 8192;
+
+/** Browsers refuse to allocate 2D canvases beyond this edge length */
+const MAX_CANVAS_SIZE = 16384;
+
+/**
+ * The largest texture edge the current renderer can upload.
+ *
+ * @returns {number}
+ */
+function getMaxTextureSize() {
+  const gl = canvas?.app?.renderer?.gl;
+  const size = gl?.getParameter?.(gl.MAX_TEXTURE_SIZE) ?? DEFAULT_MAX_TEXTURE_SIZE;
+  return Math.min(size, MAX_CANVAS_SIZE);
+}
+
+/**
+ * Composite background Tiles into one image (or a grid of chunks) and upload it.
+ *
+ * @param {Object[]} backgroundTiles - Tile data from createBackgroundTileData(), in merged canvas space
+ * @param {Object} params
+ * @param {{x: number, y: number}} params.origin - Merged scene rect origin
+ * @param {number} params.width - Merged scene rect width
+ * @param {number} params.height - Merged scene rect height
+ * @param {string} params.name - Merged scene name, used for file names
+ * @param {'webp'|'png'} [params.format='webp']
+ * @param {string} [params.directory] - Upload directory
+ * @returns {Promise<{src: string|null, tiles: Object[], remaining: Object[], warnings: string[]}>}
+ *   `src` is set when the result fits in one texture; otherwise `tiles` holds one Tile per chunk.
+ *   `remaining` are the input Tiles that could not be baked (videos, failed loads).
+ */
+export async function flattenBackgrounds(backgroundTiles, { origin, width, height, name, format = "webp", directory }) {
+  const warnings = [];
+  const remaining = [];
+  const layers = [];
+
+  // Load every static background; anything else stays a Tile
+  for (const tile of backgroundTiles) {
+    const src = tile.texture?.src;
+    if (isVideoSource(src)) {
+      warnings.push(`"${tile.flags?.[MODULE_ID]?.sourceSceneName}" has a video background and is kept as a Tile.`);
+      remaining.push(tile);
+      continue;
+    }
+    try {
+      layers.push({ tile, image: await loadImage(src) });
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not load ${src} for flattening`, err);
+      warnings.push(`Could not load "${src}"; it is kept as a Tile.`);
+      remaining.push(tile);
+    }
+  }
+  if (!layers.length) return { src: null, tiles: [], remaining, warnings };
+
+  layers.sort((a, b) => (a.tile.sort ?? 0) - (b.tile.sort ?? 0));
+
+  // Render at the highest source resolution so no background is downsampled
+  const resolution = Math.max(...layers.map(({ tile, image }) => image.naturalWidth / tile.width));
+  const maxTexture = getMaxTextureSize();
+  const chunkSize = Math.floor(maxTexture / resolution);
+  const columns = Math.ceil(width / chunkSize);
+  const rows = Math.ceil(height / chunkSize);
+
+  const folder = directory ?? `${MODULE_ID}/flattened`;
+  const baseName = `${slugify(name)}-${Date.now()}`;
+
+  // Single texture: becomes the scene background
+  if (columns === 1 && rows === 1) {
+    const rendered = renderChunk(layers, origin, { x: 0, y: 0, width, height }, resolution);
+    const src = await uploadCanvas(rendered, folder, baseName, { format });
+    return { src, tiles: [], remaining, warnings };
+  }
+
+  // Too large for one texture: one locked Tile per chunk
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const rect = {
+        x: col * chunkSize,
+        y: row * chunkSize,
+        width: Math.min(chunkSize, width - col * chunkSize),
+        height: Math.min(chunkSize, height - row * chunkSize),
+      };
+      const rendered = renderChunk(layers, origin, rect, resolution);
+      const src = await uploadCanvas(rendered, folder, `${baseName}-r${row + 1}c${col + 1}`, { format });
+      tiles.push({
+        texture: { src },
+        x: origin.x + rect.x,
+        y: origin.y + rect.y,
+        width: rect.width,
+        height: rect.height,
+        rotation: 0,
+        overhead: false,
+        sort: -2000,
+        hidden: false,
+        locked: true,
+        flags: {
+          [MODULE_ID]: {
+            isBackground: true,
+            flattened: true,
+          },
+        },
+      });
+    }
+  }
+  warnings.push(`The flattened background exceeds ${maxTexture}px and was split into ${tiles.length} tiles.`);
+  return { src: null, tiles, remaining, warnings };
+}
+
+/**
+ * Draw the part of the composite inside one rectangle of the merged scene rect.
+ *
+ * @param {Array<{tile: Object, image: HTMLImageElement}>} layers - Sorted bottom to top
+ * @param {{x: number, y: number}} origin - Merged scene rect origin
+ * @param {{x: number, y: number, width: number, height: number}} rect - Chunk in scene-rect space
+ * @param {number} resolution - Output pixels per scene pixel
+ * @returns {HTMLCanvasElement}
+ */
+function renderChunk(layers, origin, rect, resolution) {
+  const output = document.createElement("canvas");
+  output.width = Math.round(rect.width * resolution);
+  output.height = Math.round(rect.height * resolution);
+  const ctx = output.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+
+  ctx.scale(resolution, resolution);
+  ctx.translate(-rect.x - origin.x, -rect.y - origin.y);
+
+  for (const { tile, image } of layers) {
+    // Tiles rotate about their centre; a negative texture scale mirrors the image
+    ctx.save();
+    ctx.translate(tile.x + tile.width / 2, tile.y + tile.height / 2);
+    if (tile.rotation) ctx.rotate((tile.rotation * Math.PI) / 180);
+    ctx.scale(Math.sign(tile.texture?.scaleX ?? 1) || 1, Math.sign(tile.texture?.scaleY ?? 1) || 1);
+    ctx.drawImage(image, -tile.width / 2, -tile.height / 2, tile.width, tile.height);
+    ctx.restore();
+  }
+
+  return output;
+}
@@ -0,0 +1,139 @@
+/**
+ * Scene Stitcher — Fog Exploration Merge
+ *
+ * Foundry stores what each user has explored of a scene as a FogExploration
+ * document: one image stretched over the scene rect, bright where the user has
+ * been. Players who explored the separate source scenes would start the merged
+ * scene in the dark, so this module combines their fog:
+ *   - Every user's fog of each source is drawn where the source was placed, moved,
+ *     scaled, rotated and mirrored by the source's transform and cut to its crop
+ *   - Fog of different sources is combined with "lighten", so everything explored
+ *     in any source stays explored, whatever the layer order
+ *   - A target scene's own fog is moved with the scene rect it covered and kept
+ *   - The result is saved as that user's exploration of the merged scene
+ *
+ * Fog is drawn on an offscreen canvas and stored inline as a data URL, as Foundry
+ * stores its own; nothing is uploaded.
+ */
+
+import { loadImage } from "./image-utils.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/**
+ * Longest edge of a merged fog image. Fog is soft-edged and stored inside the
+ * document, so larger scenes are stored scaled down
+ */
+const MAX_FOG_SIZE = 4096;
+
+/** Encoder quality of the merged fog image */
+const FOG_QUALITY = 0.8;
+
+/**
+ * @typedef {Object} FogLayer
+ * @property {string} sceneId - The scene whose fog is drawn
+ * @property {string} name - Scene name, for warnings
+ * @property {Array<{x: number, y: number}>} frame - Where the top-left, top-right and bottom-left
+ *   corners of the layer's scene rect end up, in merged canvas space
+ * @property {number[]} footprint - Flat polygon in merged canvas space the fog is cut to
+ */
+
+/**
+ * Combine each user's fog exploration of the layers and save it for the merged scene.
+ *
+ * @param {Scene} mergedScene
+ * @param {FogLayer[]} layers - The sources and, when merging into a target, the target's old rect
+ * @param {{x: number, y: number, width: number, height: number}} rect - Merged scene rect
+ * @returns {Promise<{users: number, warnings: string[]}>} Number of users whose fog was saved
+ */
+export async function mergeFogExploration(mergedScene, layers, rect) {
+  const FogExploration = CONFIG.FogExploration.documentClass;
+  const warnings = [];
+
+  // Each user's fog, per layer
+  const byUser = new Map();
+  const existing = new Map();
+  for (const layer of layers) {
+    const explorations = await FogExploration.database.get(FogExploration, { query: { scene: layer.sceneId } });
+    for (const fog of explorations) {
+      const { user, explored } = fog._source;
+      if (layer.sceneId === mergedScene.id) existing.set(user, fog);
+      if (!explored) continue;
+      if (!byUser.has(user)) byUser.set(user, []);
+      byUser.get(user).push({ layer, explored });
+    }
+  }
+
+  let users = 0;
+  for (const [user, fogs] of byUser) {
+    const explored = await compositeFog(fogs, rect, warnings);
+    if (!explored) continue;
+    const data = { explored, timestamp: Date.now() };
+    const fog = existing.get(user);
+    if (fog) await fog.update(data);
+    else await FogExploration.create({ ...data, scene: mergedScene.id, user });
+    users++;
+  }
+  return { users, warnings };
+}
+
+/**
+ * Draw one user's fog images into the merged scene rect.
+ *
+ * @param {Array<{layer: FogLayer, explored: string}>} fogs
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {string[]} warnings - Mutated
+ * @returns {Promise<string|null>} The merged fog as a data URL, or null if no image loaded
+ */
+async function compositeFog(fogs, rect, warnings) {
+  const scale = Math.min(1, MAX_FOG_SIZE / Math.max(rect.width, rect.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(rect.width * scale));
+  canvas.height = Math.max(1, Math.round(rect.height * scale));
+  const ctx = canvas.getContext("2d");
+
+  // Unexplored fog is black; lighten keeps the brightest of every layer
+  ctx.fillStyle = "#000000";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = "lighten";
+
+  // Merged canvas space -> pixels of the merged fog image
+  const toCanvas = (p) => ({ x: (p.x - rect.x) * scale, y: (p.y - rect.y) * scale });
+
+  let drawn = 0;
+  for (const { layer, explored } of fogs) {
+    let image;
+    try {
+      image = await loadImage(explored);
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not load the fog of "${layer.name}"`, err);
+      warnings.push(`Could not read the explored fog of "${layer.name}"; it is left out.`);
+      continue;
+    }
+
+    // The fog image covers the layer's scene rect; map its corners into the merged image
+    const [origin, right, down] = layer.frame.map(toCanvas);
+
+    ctx.save();
+    ctx.beginPath();
+    for (let i = 0; i < layer.footprint.length; i += 2) {
+      const p = toCanvas({ x: layer.footprint[i], y: layer.footprint[i + 1] });
+      ctx.lineTo(p.x, p.y);
+    }
+    ctx.closePath();
+    ctx.clip();
+    ctx.setTransform(
+      (right.x - origin.x) / image.naturalWidth,
+      (right.y - origin.y) / image.naturalWidth,
+      (down.x - origin.x) / image.naturalHeight,
+      (down.y - origin.y) / image.naturalHeight,
+      origin.x,
+      origin.y
+    );
+    ctx.drawImage(image, 0, 0);
+    ctx.restore();
+    drawn++;
+  }
+
+  return drawn ? canvas.toDataURL("image/webp", FOG_QUALITY) : null;
+}
@@ -0,0 +1,383 @@
+/**
+ * Scene Stitcher — Geometry Helpers
+ *
+ * Small, dependency-free 2D helpers shared by the merge and split engines:
+ *   - Point / rectangle containment
+ *   - Line segment clipping against an axis-aligned rectangle (Liang–Barsky)
+ *   - Polygon clipping against an axis-aligned rectangle (Sutherland–Hodgman)
+ *   - Point-in-polygon and point-to-segment distance tests
+ *   - The stretch of a line segment inside a convex polygon (Cyrus–Beck), and
+ *     polygon clipping against a convex polygon, with polygon areas
+ *   - Bounds of rotated rectangles
+ *
+ * Rectangles are plain objects: { x, y, width, height }.
+ * Polygons are flat point arrays as stored by Foundry: [x0, y0, x1, y1, ...].
+ */
+
+/**
+ * Test whether a point lies inside (or on the edge of) a rectangle.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function rectContainsPoint(rect, x, y) {
+  return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * Intersect two rectangles.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {{x: number, y: number, width: number, height: number}|null} The overlap, or null if none
+ */
+export function intersectRects(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  if (right <= x || bottom <= y) return null;
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Clip a line segment to a rectangle using the Liang–Barsky algorithm.
+ *
+ * @param {number[]} c - Segment as [x1, y1, x2, y2]
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {number[]|null} The clipped segment, or null if it lies entirely outside
+ */
+export function clipSegmentToRect(c, rect) {
+  const [x1, y1, x2, y2] = c;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const p = [-dx, dx, -dy, dy];
+  const q = [x1 - rect.x, rect.x + rect.width - x1, y1 - rect.y, rect.y + rect.height - y1];
+
+  let t0 = 0;
+  let t1 = 1;
+  for (let i = 0; i < 4; i++) {
+    if (p[i] === 0) {
+      // Parallel to this edge — reject if outside it
+      if (q[i] < 0) return null;
+      continue;
+    }
+    const t = q[i] / p[i];
+    if (p[i] < 0) {
+      if (t > t1) return null;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return null;
+      t1 = Math.min(t1, t);
+    }
+  }
+
+  // Degenerate result (touches a corner only)
+  if (t1 - t0 <= 0 && (dx !== 0 || dy !== 0)) return null;
+
+  return [x1 + t0 * dx, y1 + t0 * dy, x1 + t1 * dx, y1 + t1 * dy];
+}
+
+/**
+ * Clip a polygon to a rectangle using the Sutherland–Hodgman algorithm.
+ *
+ * @param {number[]} points - Flat polygon point array
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {number[]} The clipped flat point array (fewer than 6 values if nothing remains)
+ */
+export function clipPolygonToRect(points, rect) {
+  const edges = [
+    { inside: (x, y) => x >= rect.x, cross: (ax, ay, bx, by) => lerpAtX(ax, ay, bx, by, rect.x) },
+    { inside: (x, y) => x <= rect.x + rect.width, cross: (ax, ay, bx, by) => lerpAtX(ax, ay, bx, by, rect.x + rect.width) },
+    { inside: (x, y) => y >= rect.y, cross: (ax, ay, bx, by) => lerpAtY(ax, ay, bx, by, rect.y) },
+    { inside: (x, y) => y <= rect.y + rect.height, cross: (ax, ay, bx, by) => lerpAtY(ax, ay, bx, by, rect.y + rect.height) },
+  ];
+
+  let output = points.slice();
+  for (const edge of edges) {
+    const input = output;
+    output = [];
+    const count = input.length / 2;
+    for (let i = 0; i < count; i++) {
+      const cx = input[i * 2];
+      const cy = input[i * 2 + 1];
+      const px = input[((i + count - 1) % count) * 2];
+      const py = input[((i + count - 1) % count) * 2 + 1];
+      const curIn = edge.inside(cx, cy);
+      const prevIn = edge.inside(px, py);
+      if (curIn) {
+        if (!prevIn) output.push(...edge.cross(px, py, cx, cy));
+        output.push(cx, cy);
+      } else if (prevIn) {
+        output.push(...edge.cross(px, py, cx, cy));
+      }
+    }
+    if (output.length < 6) return [];
+  }
+  return output;
+}
+
+/**
+ * Convert a rectangle rotated about its centre into a flat polygon point array.
+ *
+ * @param {number} x - Top-left X of the unrotated rectangle
+ * @param {number} y - Top-left Y of the unrotated rectangle
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [rotation=0] - Rotation in degrees (clockwise)
+ * @returns {number[]}
+ */
+export function rotatedRectToPolygon(x, y, width, height, rotation = 0) {
+  return rotateRectAbout({ x, y, width, height }, rotation);
+}
+
+/**
+ * Rotate a rectangle about a pivot (its own centre by default) into a flat polygon.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {number} [rotation=0] - Rotation in degrees (clockwise)
+ * @param {{x: number, y: number}} [pivot] - Defaults to the rectangle's centre
+ * @returns {number[]}
+ */
+export function rotateRectAbout(rect, rotation = 0, pivot = null) {
+  const cx = pivot?.x ?? rect.x + rect.width / 2;
+  const cy = pivot?.y ?? rect.y + rect.height / 2;
+  const radians = (rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const corners = [
+    [rect.x, rect.y],
+    [rect.x + rect.width, rect.y],
+    [rect.x + rect.width, rect.y + rect.height],
+    [rect.x, rect.y + rect.height],
+  ];
+  const points = [];
+  for (const [px, py] of corners) {
+    const dx = px - cx;
+    const dy = py - cy;
+    points.push(cx + dx * cos - dy * sin, cy + dx * sin + dy * cos);
+  }
+  return points;
+}
+
+/**
+ * Axis-aligned bounds of a flat polygon point array.
+ *
+ * @param {number[]} points
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function polygonBounds(points) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < points.length; i += 2) {
+    minX = Math.min(minX, points[i]);
+    minY = Math.min(minY, points[i + 1]);
+    maxX = Math.max(maxX, points[i]);
+    maxY = Math.max(maxY, points[i + 1]);
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Test whether a point lies inside a polygon (ray casting; edges are ambiguous).
+ *
+ * @param {number[]} points - Flat polygon point array
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function polygonContainsPoint(points, x, y) {
+  let inside = false;
+  const count = points.length / 2;
+  for (let i = 0, j = count - 1; i < count; j = i++) {
+    const xi = points[i * 2];
+    const yi = points[i * 2 + 1];
+    const xj = points[j * 2];
+    const yj = points[j * 2 + 1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * The part of a line segment inside a convex polygon, as a range of the segment's
+ * parameter (0 at the first endpoint, 1 at the second). Either winding works.
+ *
+ * @param {number[]} c - Segment as [x1, y1, x2, y2]
+ * @param {number[]} points - Flat convex polygon point array
+ * @param {number} [inset=0] - Only count points at least this far inside the edges, so a
+ *   segment lying along an edge is outside
+ * @returns {[number, number]|null} [t0, t1], or null if the segment misses the polygon
+ */
+export function clipSegmentToConvexPolygon(c, points, inset = 0) {
+  const [x1, y1, x2, y2] = c;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const count = points.length / 2;
+
+  // Signed area gives the winding, so edge normals can be made to point inwards
+  let area = 0;
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    area += points[i * 2] * points[j * 2 + 1] - points[j * 2] * points[i * 2 + 1];
+  }
+  const sign = area < 0 ? -1 : 1;
+
+  let t0 = 0;
+  let t1 = 1;
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    const ex = points[j * 2] - points[i * 2];
+    const ey = points[j * 2 + 1] - points[i * 2 + 1];
+    const nx = -ey * sign;
+    const ny = ex * sign;
+    // Inside when n · (p - vertex) >= inset · |n|
+    const num = nx * (x1 - points[i * 2]) + ny * (y1 - points[i * 2 + 1]) - inset * Math.hypot(nx, ny);
+    const den = nx * dx + ny * dy;
+    if (den === 0) {
+      if (num < 0) return null;
+      continue;
+    }
+    const t = -num / den;
+    if (den > 0) t0 = Math.max(t0, t);
+    else t1 = Math.min(t1, t);
+    if (t0 > t1) return null;
+  }
+  return [t0, t1];
+}
+
+/**
+ * Area of a simple polygon (shoelace formula), regardless of winding.
+ *
+ * @param {number[]} points - Flat polygon point array
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  return Math.abs(signedArea(points));
+}
+
+/**
+ * Clip a polygon to a convex polygon (Sutherland–Hodgman). Either winding works.
+ *
+ * @param {number[]} points - Flat polygon point array
+ * @param {number[]} clip - Flat convex polygon point array
+ * @returns {number[]} The clipped flat point array (fewer than 6 values if nothing remains)
+ */
+export function clipPolygonToConvexPolygon(points, clip) {
+  const count = clip.length / 2;
+  const sign = signedArea(clip) < 0 ? -1 : 1;
+
+  let output = points.slice();
+  for (let e = 0; e < count && output.length >= 6; e++) {
+    const ax = clip[e * 2];
+    const ay = clip[e * 2 + 1];
+    const bx = clip[((e + 1) % count) * 2];
+    const by = clip[((e + 1) % count) * 2 + 1];
+    // Positive on the inner side of the edge
+    const side = (x, y) => sign * ((bx - ax) * (y - ay) - (by - ay) * (x - ax));
+
+    const input = output;
+    output = [];
+    const n = input.length / 2;
+    for (let i = 0; i < n; i++) {
+      const cx = input[i * 2];
+      const cy = input[i * 2 + 1];
+      const px = input[((i + n - 1) % n) * 2];
+      const py = input[((i + n - 1) % n) * 2 + 1];
+      const cur = side(cx, cy);
+      const prev = side(px, py);
+      if ((cur >= 0) !== (prev >= 0)) {
+        const t = prev / (prev - cur);
+        output.push(px + (cx - px) * t, py + (cy - py) * t);
+      }
+      if (cur >= 0) output.push(cx, cy);
+    }
+  }
+  return output.length >= 6 ? output : [];
+}
+
+/**
+ * Signed area of a polygon: positive for one winding, negative for the other.
+ *
+ * @param {number[]} points
+ * @returns {number}
+ */
+function signedArea(points) {
+  let area = 0;
+  const count = points.length / 2;
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    area += points[i * 2] * points[j * 2 + 1] - points[j * 2] * points[i * 2 + 1];
+  }
+  return area / 2;
+}
+
+/**
+ * Shortest distance from a point to a line segment.
+ *
+ * @param {number} px
+ * @param {number} py
+ * @param {number[]} c - Segment as [x1, y1, x2, y2]
+ * @returns {number}
+ */
+export function distanceToSegment(px, py, c) {
+  const [x1, y1, x2, y2] = c;
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * Shortest distance from a point to the outline of a polygon.
+ *
+ * @param {number[]} points - Flat polygon point array
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+export function distanceToPolygonEdge(points, x, y) {
+  let best = Infinity;
+  const count = points.length / 2;
+  for (let i = 0; i < count; i++) {
+    const j = (i + 1) % count;
+    const edge = [points[i * 2], points[i * 2 + 1], points[j * 2], points[j * 2 + 1]];
+    best = Math.min(best, distanceToSegment(x, y, edge));
+  }
+  return best;
+}
+
+/**
+ * Point where the line through a and b crosses a vertical line.
+ *
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} x - The vertical line
+ * @returns {number[]} [x, y]
+ */
+function lerpAtX(ax, ay, bx, by, x) {
+  const t = (x - ax) / (bx - ax);
+  return [x, ay + t * (by - ay)];
+}
+
+/**
+ * Point where the line through a and b crosses a horizontal line.
+ *
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} bx
+ * @param {number} by
+ * @param {number} y - The horizontal line
+ * @returns {number[]} [x, y]
+ */
+function lerpAtY(ax, ay, bx, by, y) {
+  const t = (y - ay) / (by - ay);
+  return [ax + t * (bx - ax), y];
+}
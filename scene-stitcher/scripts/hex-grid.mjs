@@ -0,0 +1,141 @@
+/**
+ * Scene Stitcher — Hex Grid Helpers
+ *
+ * A hex grid only looks the same after a move by one of its lattice translations:
+ * a whole hex along a row (or column), or one row down with a half-hex shift. Any
+ * other offset puts the grid under a map out of step with the merged scene's grid,
+ * and offsets of an odd number of rows also need the half-hex shift so the
+ * even/odd row (or column) parity is kept.
+ *
+ * Foundry anchors the grid at the top-left of the canvas (padding included), so a
+ * source lines up when the image of its canvas origin lands on a lattice point of
+ * the merged scene.
+ *
+ * Lattices are plain objects: { ax, ay, bx, by } — the two basis translations.
+ */
+
+/** CONST.GRID_TYPES values for hexagonal grids */
+const HEX_ROW_TYPES = [2, 3]; // HEXODDR, HEXEVENR
+const HEX_COLUMN_TYPES = [4, 5]; // HEXODDQ, HEXEVENQ
+
+/**
+ * The translation lattice of a hex grid.
+ * Foundry's grid size is the distance between opposite flat sides; the hex is
+ * 2/sqrt(3) times that across its points.
+ *
+ * @param {{type: number, size: number}} grid
+ * @returns {{ax: number, ay: number, bx: number, by: number}|null} Null for non-hex grids
+ */
+export function getHexLattice(grid) {
+  const size = grid?.size ?? 100;
+  const pointy = (size * 2) / Math.sqrt(3);
+  if (HEX_ROW_TYPES.includes(grid?.type)) {
+    // Pointy-top hexes in rows: one hex across, or one row down and half a hex across
+    return { ax: size, ay: 0, bx: size / 2, by: pointy * 0.75 };
+  }
+  if (HEX_COLUMN_TYPES.includes(grid?.type)) {
+    // Flat-top hexes in columns
+    return { ax: 0, ay: size, bx: pointy * 0.75, by: size / 2 };
+  }
+  return null;
+}
+
+/**
+ * Lattice points around a position, as integer combinations of the basis.
+ *
+ * @param {{ax: number, ay: number, bx: number, by: number}} lattice
+ * @param {number} x
+ * @param {number} y
+ * @returns {Array<{x: number, y: number}>}
+ */
+function latticeNeighbours(lattice, x, y) {
+  const { ax, ay, bx, by } = lattice;
+  // Solve (x, y) = i·a + j·b for real i, j
+  const det = ax * by - ay * bx;
+  const i = (x * by - y * bx) / det;
+  const j = (ax * y - ay * x) / det;
+
+  const points = [];
+  for (let di = -1; di <= 2; di++) {
+    for (let dj = -1; dj <= 2; dj++) {
+      const pi = Math.floor(i) + di;
+      const pj = Math.floor(j) + dj;
+      points.push({ x: pi * ax + pj * bx, y: pi * ay + pj * by });
+    }
+  }
+  return points;
+}
+
+/**
+ * The lattice point nearest to a position.
+ *
+ * @param {{ax: number, ay: number, bx: number, by: number}} lattice
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+export function nearestLatticePoint(lattice, x, y) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const p of latticeNeighbours(lattice, x, y)) {
+    const distance = Math.hypot(p.x - x, p.y - y);
+    if (distance < bestDistance) {
+      best = p;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * The closest lattice point that lies at or above-left of a position on both axes.
+ *
+ * @param {{ax: number, ay: number, bx: number, by: number}} lattice
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+export function latticePointAtOrBefore(lattice, x, y) {
+  const epsilon = 1e-6;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const p of latticeNeighbours(lattice, x, y)) {
+    if (p.x > x + epsilon || p.y > y + epsilon) continue;
+    const distance = x - p.x + (y - p.y);
+    if (distance < bestDistance) {
+      best = p;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Where a layout entry sends its source canvas origin, relative to the entry's
+ * offset: the grid of the source sits on the merged grid when offset + phase is a
+ * lattice point. Mirrors createSceneTransform() in the merge engine.
+ *
+ * Only half turns keep a hex grid's orientation, so other rotations have no phase.
+ * Mirrors keep it: a mirrored hex lattice is the same lattice.
+ *
+ * @param {Object} params
+ * @param {number} params.width - Source scene pixel width
+ * @param {number} params.height - Source scene pixel height
+ * @param {{x: number, y: number}} params.origin - Source scene rect origin
+ * @param {number} [params.scale=1]
+ * @param {number} [params.rotation=0] - Degrees
+ * @param {boolean} [params.flipX=false]
+ * @param {boolean} [params.flipY=false]
+ * @returns {{x: number, y: number}|null}
+ */
+export function getHexPhase({ width, height, origin, scale = 1, rotation = 0, flipX = false, flipY = false }) {
+  const turns = (((rotation % 360) + 360) % 360) / 180;
+  if (Math.abs(turns - Math.round(turns)) > 1e-6) return null;
+  const sign = Math.round(turns) % 2 === 0 ? 1 : -1;
+  const fx = flipX ? -1 : 1;
+  const fy = flipY ? -1 : 1;
+  return {
+    x: (width * scale) / 2 - sign * fx * scale * (origin.x + width / 2),
+    y: (height * scale) / 2 - sign * fy * scale * (origin.y + height / 2),
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Scene Stitcher — Image Utilities
+ *
+ * Helpers for loading background images into an offscreen canvas and
+ * uploading the rendered result back to the server through Foundry's FilePicker.
+ */
+
+const VIDEO_PATTERN = /\.(mp4|webm|ogg|m4v)$/i;
+
+/**
+ * Whether a background source is a video file.
+ *
+ * @param {string|null} src
+ * @returns {boolean}
+ */
+export function isVideoSource(src) {
+  return VIDEO_PATTERN.test(src ?? "");
+}
+
+/**
+ * Load an image element from a URL.
+ *
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load image: ${src}`));
+    img.src = src;
+  });
+}
+
+/**
+ * Whether a file can be fetched from the server.
+ *
+ * @param {string} src
+ * @returns {Promise<boolean>}
+ */
+export async function fileExists(src) {
+  try {
+    const response = await fetch(src, { method: "HEAD" });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn a scene or document name into a safe file name fragment.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugify(name) {
+  return (name ?? "scene")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "scene";
+}
+
+/**
+ * Crop a rectangle out of a scene's background or foreground image and upload it.
+ * The output keeps the source image resolution, not the scene pixel size.
+ *
+ * @param {HTMLImageElement} image
+ * @param {{width: number, height: number, offsetX: number, offsetY: number}} frame - Where the
+ *   image is drawn, in scene pixels relative to the scene rect (see getSceneImageFrame())
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle in scene-rect space
+ * @param {string} directory
+ * @param {string} fileName
+ * @returns {Promise<string>} Uploaded file path
+ */
+export async function cropSceneImage(image, frame, rect, directory, fileName) {
+  const scaleX = image.naturalWidth / frame.width;
+  const scaleY = image.naturalHeight / frame.height;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(rect.width * scaleX);
+  canvas.height = Math.round(rect.height * scaleY);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(
+    image,
+    (rect.x - frame.offsetX) * scaleX,
+    (rect.y - frame.offsetY) * scaleY,
+    rect.width * scaleX,
+    rect.height * scaleY,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+  return uploadCanvas(canvas, directory, fileName);
+}
+
+/**
+ * Upload the contents of a canvas to the user data directory.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} directory - Target directory inside the "data" source
+ * @param {string} fileName - File name without extension
+ * @param {Object} [options]
+ * @param {'webp'|'png'} [options.format='webp']
+ * @param {number} [options.quality=0.92] - Encoder quality for WebP
+ * @returns {Promise<string>} The uploaded file path
+ */
+export async function uploadCanvas(canvas, directory, fileName, { format = "webp", quality = 0.92 } = {}) {
+  const mimeType = `image/${format}`;
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, mimeType, quality));
+  if (!blob) throw new Error(`Could not encode ${fileName} as ${format}`);
+
+  const file = new File([blob], `${fileName}.${format}`, { type: mimeType });
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  await ensureDirectory(FilePicker, directory);
+
+  const response = await FilePicker.upload("data", directory, file, {}, { notify: false });
+  if (!response?.path) throw new Error(`Upload of ${file.name} failed`);
+  return response.path;
+}
+
+/**
+ * Create each segment of a directory path, ignoring ones that already exist.
+ *
+ * @param {typeof FilePicker} FilePicker
+ * @param {string} directory
+ */
+async function ensureDirectory(FilePicker, directory) {
+  let path = "";
+  for (const part of directory.split("/").filter(Boolean)) {
+    path = path ? `${path}/${part}` : part;
+    try {
+      await FilePicker.createDirectory("data", path, {});
+    } catch (err) {
+      // EEXIST is expected for every segment after the first run
+      if (!String(err?.message ?? err).includes("EEXIST")) throw err;
+    }
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Scene Stitcher — Link Rewrite
+ *
+ * A merge copies documents into a new scene, but the rest of the world still refers
+ * to the source scenes: journal pages link them with @UUID[Scene...] (which also
+ * views the scene when clicked), macros look them up by ID, and note labels or the
+ * flags of other modules may hold their UUIDs. This pass points such references at
+ * the merged scene:
+ *   - Scene.<source> becomes Scene.<merged>
+ *   - Scene.<source>.<Type>.<id> becomes the UUID of that document's copy; references
+ *     to documents without a copy are left alone and counted as unresolved
+ *   - The older @Scene[<source>] link format is rewritten like a scene UUID
+ *   - In macros, a source ID written as a quoted string ("...", '...' or `...`) too
+ *
+ * Journal pages are always scanned; macros and Note documents (their label and the
+ * flags of other modules) only on request. Report journals of merges are skipped, as
+ * they are meant to keep pointing at the sources.
+ *
+ * Planning writes nothing, so the affected documents can be previewed. Applying a
+ * plan stores the values it replaced on the merged scene, even if it fails partway,
+ * and the rewrites since the last undo can be undone from there; fields edited since
+ * are left as they are.
+ */
+
+import { EMBEDDED_TYPES } from "./merge-engine.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** A Scene UUID, optionally followed by one of its embedded documents */
+const SCENE_UUID_PATTERN = /Scene\.([A-Za-z0-9]{16})(?:\.([A-Za-z]+)\.([A-Za-z0-9]{16}))?/g;
+
+/** Scene content links in the format used before UUIDs */
+const SCENE_LINK_PATTERN = /@Scene\[([A-Za-z0-9]{16})\]/g;
+
+/** A 16 character document ID in quotes, as macros pass them to game.scenes.get() */
+const QUOTED_ID_PATTERN = /(["'`])([A-Za-z0-9]{16})\1/g;
+
+/**
+ * @typedef {Object} LinkRewriteChange
+ * @property {Document} document - The document to update
+ * @property {string} documentName
+ * @property {string} name - Display name (a page is shown with its journal entry)
+ * @property {Object<string, *>} before - Current values, keyed by data path
+ * @property {Object<string, *>} after - Rewritten values, keyed by data path
+ * @property {number} count - Number of references rewritten
+ */
+
+/**
+ * Whether a merged scene has a link rewrite that can be undone.
+ *
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+export function canUndoLinkRewrite(scene) {
+  return !!scene?.flags?.[MODULE_ID]?.linkRewrite?.changes?.length;
+}
+
+/**
+ * Find the references to a merged scene's sources. Nothing is written.
+ *
+ * @param {Scene} mergedScene
+ * @param {Object} [options]
+ * @param {boolean} [options.macros=false] - Scan macro commands too
+ * @param {boolean} [options.notes=false] - Scan the Note documents of every scene too
+ * @returns {{changes: LinkRewriteChange[], unresolved: number}} Plan for applyLinkRewrite(), and the
+ *   number of references to source documents that have no copy
+ */
+export function planLinkRewrite(mergedScene, { macros = false, notes = false } = {}) {
+  const sourceIds = new Set((mergedScene.flags?.[MODULE_ID]?.sourceScenes ?? []).filter((id) => id !== mergedScene.id));
+  const copies = getCopyUuids(mergedScene);
+  const plan = { changes: [], unresolved: 0 };
+  if (!sourceIds.size) return plan;
+
+  const scan = (document, documentName, name, paths, quotedIds = false) => {
+    const before = {};
+    const after = {};
+    let count = 0;
+    for (const path of paths) {
+      const value = foundry.utils.getProperty(document, path);
+      if (value === undefined || value === null) continue;
+      const result = rewriteValue(foundry.utils.deepClone(value), (text) => {
+        const rewritten = rewriteText(text, mergedScene, sourceIds, copies, quotedIds);
+        count += rewritten.count;
+        plan.unresolved += rewritten.unresolved;
+        return rewritten.text;
+      });
+      if (JSON.stringify(result) === JSON.stringify(value)) continue;
+      before[path] = foundry.utils.deepClone(value);
+      after[path] = result;
+    }
+    if (count) plan.changes.push({ document, documentName, name, before, after, count });
+  };
+
+  for (const entry of game.journal ?? []) {
+    if (entry.flags?.[MODULE_ID]?.mergeReport) continue;
+    for (const page of entry.pages ?? []) {
+      if (page.type !== "text") continue;
+      scan(page, "JournalEntryPage", `${entry.name}: ${page.name}`, ["text.content"]);
+    }
+  }
+
+  if (macros) {
+    for (const macro of game.macros ?? []) {
+      scan(macro, "Macro", macro.name, ["command"], macro.type === "script");
+    }
+  }
+
+  if (notes) {
+    for (const scene of game.scenes ?? []) {
+      for (const note of scene.notes ?? []) {
+        // This module's own flags tie copies to their sources and must not be rewritten
+        const scopes = Object.keys(note.flags ?? {}).filter((scope) => scope !== MODULE_ID);
+        const label = note.text || note.entry?.name || note.id;
+        scan(note, "Note", `${scene.name}: ${label}`, ["text", ...scopes.map((scope) => `flags.${scope}`)]);
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Apply a link rewrite plan, and store what it replaced on the merged scene so it
+ * can be undone. The record is added to that of earlier rewrites, and is stored
+ * even when an update fails, so every document changed can be put back.
+ *
+ * @param {Scene} mergedScene
+ * @param {{changes: LinkRewriteChange[]}} plan - From planLinkRewrite()
+ * @returns {Promise<{documents: number, links: number}>}
+ * @throws {Error} If a document cannot be updated; the message says how many were rewritten before
+ */
+export async function applyLinkRewrite(mergedScene, plan) {
+  const record = [];
+  let links = 0;
+  try {
+    for (const change of plan.changes) {
+      await change.document.update(change.after);
+      record.push({ uuid: change.document.uuid, before: change.before, after: change.after });
+      links += change.count;
+    }
+  } catch (err) {
+    throw new Error(
+      `${record.length} of ${plan.changes.length} document(s) were rewritten before the failure and can be undone. ${err.message}`,
+      { cause: err }
+    );
+  } finally {
+    if (record.length) {
+      const previous = mergedScene.flags?.[MODULE_ID]?.linkRewrite?.changes ?? [];
+      await mergedScene.update({
+        [`flags.${MODULE_ID}.linkRewrite`]: { rewrittenAt: Date.now(), changes: [...previous, ...record] },
+      });
+    }
+  }
+  return { documents: record.length, links };
+}
+
+/**
+ * Undo the link rewrites of a merged scene since the last undo, newest first. Fields
+ * changed since the rewrite, and documents that were deleted, are skipped.
+ *
+ * @param {Scene} mergedScene
+ * @returns {Promise<{restored: number, skipped: number}>} Documents restored and skipped
+ */
+export async function undoLinkRewrite(mergedScene) {
+  const restored = new Set();
+  const skipped = new Set();
+  const changes = mergedScene.flags?.[MODULE_ID]?.linkRewrite?.changes ?? [];
+  for (const { uuid, before, after } of [...changes].reverse()) {
+    const document = await fromUuid(uuid);
+    const update = {};
+    for (const [path, value] of Object.entries(after)) {
+      const current = foundry.utils.getProperty(document ?? {}, path);
+      if (JSON.stringify(current) === JSON.stringify(value)) update[path] = before[path];
+    }
+    if (!document || foundry.utils.isEmpty(update)) {
+      skipped.add(uuid);
+      continue;
+    }
+    await document.update(update);
+    restored.add(uuid);
+  }
+
+  await mergedScene.update({ [`flags.${MODULE_ID}.-=linkRewrite`]: null });
+  // A document rewritten twice counts once, as restored if either rewrite was undone
+  return { restored: restored.size, skipped: [...skipped].filter((uuid) => !restored.has(uuid)).length };
+}
+
+/**
+ * Number of documents the undo record of a merged scene would restore.
+ *
+ * @param {Scene} scene
+ * @returns {number}
+ */
+export function countLinkRewriteDocuments(scene) {
+  return new Set((scene?.flags?.[MODULE_ID]?.linkRewrite?.changes ?? []).map((c) => c.uuid)).size;
+}
+
+/**
+ * UUIDs of the documents copied into a merged scene, keyed by the UUID of their
+ * source document. A source wall cut into pieces maps to its first piece.
+ *
+ * @param {Scene} mergedScene
+ * @returns {Map<string, string>}
+ */
+function getCopyUuids(mergedScene) {
+  const uuids = new Map();
+  for (const type of EMBEDDED_TYPES) {
+    for (const doc of mergedScene[type.collection] ?? []) {
+      const flags = doc.flags?.[MODULE_ID];
+      if (!flags?.sourceSceneId || !flags.sourceDocumentId) continue;
+      const key = `Scene.${flags.sourceSceneId}.${type.documentName}.${flags.sourceDocumentId}`;
+      if (!uuids.has(key)) uuids.set(key, doc.uuid);
+    }
+  }
+  return uuids;
+}
+
+/**
+ * Rewrite the references to source scenes in one string.
+ *
+ * @param {string} text
+ * @param {Scene} mergedScene
+ * @param {Set<string>} sourceIds
+ * @param {Map<string, string>} copies - Source document UUID -> copy UUID
+ * @param {boolean} quotedIds - Also rewrite quoted source scene IDs
+ * @returns {{text: string, count: number, unresolved: number}}
+ */
+function rewriteText(text, mergedScene, sourceIds, copies, quotedIds) {
+  let count = 0;
+  let unresolved = 0;
+
+  text = text.replace(SCENE_UUID_PATTERN, (match, sceneId, documentName) => {
+    if (!sourceIds.has(sceneId)) return match;
+    if (documentName) {
+      const copy = copies.get(match);
+      if (!copy) {
+        unresolved++;
+        return match;
+      }
+      count++;
+      return copy;
+    }
+    count++;
+    return `Scene.${mergedScene.id}`;
+  });
+
+  text = text.replace(SCENE_LINK_PATTERN, (match, sceneId) => {
+    if (!sourceIds.has(sceneId)) return match;
+    count++;
+    return `@Scene[${mergedScene.id}]`;
+  });
+
+  if (quotedIds) {
+    text = text.replace(QUOTED_ID_PATTERN, (match, quote, id) => {
+      if (!sourceIds.has(id)) return match;
+      count++;
+      return `${quote}${mergedScene.id}${quote}`;
+    });
+  }
+
+  return { text, count, unresolved };
+}
+
+/**
+ * Apply a string rewrite to every string of a value, recursively.
+ *
+ * @param {*} value
+ * @param {Function} rewrite - (text) => rewritten text
+ * @returns {*} The rewritten value (objects and arrays are mutated)
+ */
+function rewriteValue(value, rewrite) {
+  if (typeof value === "string") return rewrite(value);
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) value[i] = rewriteValue(value[i], rewrite);
+  } else if (value && typeof value === "object") {
+    for (const key of Object.keys(value)) value[key] = rewriteValue(value[key], rewrite);
+  }
+  return value;
+}
@@ -4,23 +4,304 @@
  * Takes an array of scene layouts (scene references + positions from the layout canvas)
  * and produces a single merged Scene document with:
  *   - Background Tiles referencing each source scene's original background file
+ *     (or, optionally, one flattened image baked from all of them)
+ *   - Overhead Tiles for each source scene's foreground image (roofs, canopy...)
  *   - All embedded documents (walls, lights, sounds, tokens, tiles, drawings, notes, regions)
- *     with coordinates offset to their correct position in the merged scene
+ *     with coordinates offset (and rotated or mirrored with the background) to their correct position
+ *     in the merged scene, optionally narrowed by type and filters (see document-filters.mjs)
+ *   - Optionally, each source rescaled to a common grid size
+ *   - Optionally, each source cropped to a rectangle (e.g. to trim the bleed of split
+ *     exports): images are trimmed and documents clipped at the crop's edge
+ *   - On hex grids, offsets adjusted so every source's hexes line up with the merged grid
+ *   - Optionally, a cleanup pass that welds and deduplicates walls along the seams
+ *   - Scene-level settings (environment, ambience, fog...) picked per field from the
+ *     sources or given a custom value (see scene-settings.mjs)
+ *   - Region behavior references (teleport destinations...) to other stitched regions
+ *     pointed at the copies in the merged scene (see reference-remap.mjs)
+ *   - Optionally, each user's explored fog of the sources combined into their fog
+ *     of the merged scene (see fog-merge.mjs)
+ *
+ * Where scenes overlap, an overlap policy can clip or drop the documents of lower
+ * layers that are hidden under higher ones (see overlap.mjs).
+ *
+ * Instead of creating a new scene, sources can be stitched into an existing target
+ * scene. The target keeps its settings; it is resized to fit the sources, and when it
+ * grows up or left, its own documents are moved so they stay where they were.
+ *
+ * A dry run does all of the above except uploading and creating, and returns a plan
+ * of what the merge would create instead (see merge-plan.mjs). A merge can also leave
+ * a report journal that records how the scene was put together (see merge-journal.mjs).
+ *
+ * Creation is transactional: every created document is counted and every failure is
+ * traced back to its source document. A merge with failures is either rolled back
+ * (the partial scene is deleted) or kept with the failure report stored on it.
+ */
+
+import { clipDocument } from "./document-clip.mjs";
+import { matchesFilters } from "./document-filters.mjs";
+import { flattenBackgrounds } from "./flatten-engine.mjs";
+import { mergeFogExploration } from "./fog-merge.mjs";
+import { polygonBounds, rotateRectAbout } from "./geometry.mjs";
+import { getHexLattice, getHexPhase, latticePointAtOrBefore, nearestLatticePoint } from "./hex-grid.mjs";
+import { cropSceneImage, isVideoSource, loadImage, slugify } from "./image-utils.mjs";
+import { createMergeJournal } from "./merge-journal.mjs";
+import { buildMergePlan } from "./merge-plan.mjs";
+import { resolveOverlaps } from "./overlap.mjs";
+import { assignRegionIds, remapRegionReferences } from "./reference-remap.mjs";
+import { resolveSceneSettings } from "./scene-settings.mjs";
+import { cleanupSeams } from "./seam-cleanup.mjs";
+
+/** Documents per createEmbeddedDocuments() call while creating a merged scene */
+const DEFAULT_CHUNK_SIZE = 200;
+
+/**
+ * Build the transform that maps a source scene's coordinates into the merged scene.
+ *
+ * Foundry stores document coordinates in full-canvas space, which includes the scene
+ * padding. Points are first normalised into the source's scene rectangle by removing
+ * its origin (dimensions.sceneX/sceneY), then placed by the layout, then shifted by
+ * the merged scene's own origin.
+ *
+ * The layout places the unrotated scene rectangle at (offsetX, offsetY); rotation is
+ * applied around the centre of that rectangle, which is exactly how a rotated Tile
+ * (the background) is rendered by Foundry. A scale other than 1 resizes the scene
+ * about the same centre, e.g. to bring a 70px grid map up to a 100px grid. Flips
+ * mirror the scene about its own centre lines before it is rotated, as a Tile
+ * with a negative texture scale is drawn.
+ *
+ * The result is stored in pivot form — subtract the source centre, scale and rotate,
+ * add the merged centre — so it can be inverted by invertTransform().
+ *
+ * @param {Object} params
+ * @param {number} params.offsetX - X offset in the merged scene
+ * @param {number} params.offsetY - Y offset in the merged scene
+ * @param {number} params.width - Source scene pixel width (before scaling)
+ * @param {number} params.height - Source scene pixel height (before scaling)
+ * @param {number} [params.rotation=0] - Rotation in degrees (clockwise)
+ * @param {number} [params.scale=1] - Uniform scale factor applied to the source
+ * @param {boolean} [params.flipX=false] - Mirror the source horizontally
+ * @param {boolean} [params.flipY=false] - Mirror the source vertically
+ * @param {number} [params.gridSize=100] - Source grid size, used for grid-unit sizes (tokens)
+ * @param {{x: number, y: number}} [params.sourceOrigin] - Source scene rect origin (padding offset)
+ * @param {{x: number, y: number}} [params.targetOrigin] - Merged scene rect origin (padding offset)
+ * @returns {Object} Transform consumed by transformPoint() and the EMBEDDED_TYPES handlers
  */
+function createSceneTransform({
+  offsetX,
+  offsetY,
+  width,
+  height,
+  rotation = 0,
+  scale = 1,
+  flipX = false,
+  flipY = false,
+  gridSize = 100,
+  sourceOrigin = { x: 0, y: 0 },
+  targetOrigin = { x: 0, y: 0 },
+}) {
+  const radians = (rotation * Math.PI) / 180;
+  return {
+    // Scene centre in source canvas space
+    inX: sourceOrigin.x + width / 2,
+    inY: sourceOrigin.y + height / 2,
+    // Scene centre in merged canvas space
+    outX: targetOrigin.x + offsetX + (width * scale) / 2,
+    outY: targetOrigin.y + offsetY + (height * scale) / 2,
+    sourceX: sourceOrigin.x,
+    sourceY: sourceOrigin.y,
+    width,
+    height,
+    rotation,
+    scale,
+    // Mirror factors, applied before rotation
+    fx: flipX ? -1 : 1,
+    fy: flipY ? -1 : 1,
+    cos: Math.cos(radians),
+    sin: Math.sin(radians),
+    gridSize,
+  };
+}
+
+/**
+ * Map a point from source scene space into merged scene space.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+function transformPoint(t, x, y) {
+  const px = ((x ?? 0) - t.inX) * t.scale * t.fx;
+  const py = ((y ?? 0) - t.inY) * t.scale * t.fy;
+  return {
+    x: roundCoord(t.outX + px * t.cos - py * t.sin),
+    y: roundCoord(t.outY + px * t.sin + py * t.cos),
+  };
+}
+
+/**
+ * Build the inverse of a transform, mapping merged scene space back to source space.
+ * The result works with transformPoint() and every EMBEDDED_TYPES handler.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @returns {Object}
+ */
+function invertTransform(t) {
+  // Undoing "mirror, then rotate by r" is "rotate by -r, then mirror". A mirror in one
+  // axis turns that into "mirror, then rotate by r"; mirrors in both are a half turn,
+  // which commutes with rotation
+  const mirrored = isMirrored(t);
+  return {
+    ...t,
+    inX: t.outX,
+    inY: t.outY,
+    outX: t.inX,
+    outY: t.inY,
+    width: t.width * t.scale,
+    height: t.height * t.scale,
+    rotation: mirrored ? t.rotation : -t.rotation,
+    // Rotation is undone before scaling; uniform scale makes the order irrelevant
+    sin: mirrored ? t.sin : -t.sin,
+    scale: 1 / t.scale,
+    // Grid-unit sizes in merged space are measured against the merged grid
+    gridSize: t.gridSize * t.scale,
+  };
+}
+
+/**
+ * Whether a transform mirrors in exactly one axis, which reverses handedness
+ * (clockwise becomes anticlockwise, left of a wall becomes right).
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @returns {boolean}
+ */
+function isMirrored(t) {
+  return t.fx * t.fy < 0;
+}
+
+/**
+ * Normalise an angle in degrees to [0, 360).
+ *
+ * @param {number} angle
+ * @returns {number}
+ */
+function normaliseAngle(angle) {
+  const result = angle % 360;
+  return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Transform the rotation of something turned about its own centre (tokens, tiles,
+ * drawings, region rectangles and ellipses). Under a mirror the rotation is
+ * reversed; the content itself is mirrored by the caller (see mirrorTexture()).
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {number} [angle=0]
+ * @returns {number}
+ */
+function transformAngle(t, angle = 0) {
+  const own = angle ?? 0;
+  return normaliseAngle((isMirrored(t) ? -own : own) + t.rotation);
+}
+
+/**
+ * Transform a direction, such as where a light or template points.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {number} [angle=0]
+ * @param {number} [zero=90] - Screen angle (clockwise from east) of direction 0:
+ *   90 for rotations, which face south at 0, or 0 for template directions
+ * @returns {number}
+ */
+function transformDirection(t, angle = 0, zero = 90) {
+  let result = angle ?? 0;
+  if (t.fx < 0) result = 180 - result - 2 * zero;
+  if (t.fy < 0) result = -result - 2 * zero;
+  return normaliseAngle(result + t.rotation);
+}
 
 /**
- * Embedded document types and their coordinate fields that need offsetting.
+ * Mirror a texture within its box (tokens, tiles) by the transform's flips.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {Object} data - Document data with an optional texture (mutated)
+ */
+function mirrorTexture(t, data) {
+  if (t.fx === 1 && t.fy === 1) return;
+  data.texture = data.texture ?? {};
+  data.texture.scaleX = (data.texture.scaleX ?? 1) * t.fx;
+  data.texture.scaleY = (data.texture.scaleY ?? 1) * t.fy;
+}
+
+/**
+ * Transform a top-left anchored box that rotates about its own centre
+ * (tokens, tiles, drawings, rectangle region shapes). The centre is moved and
+ * the rotation accumulated. The box is positioned for its scaled size; callers
+ * storing a pixel size must scale it themselves (see scaleLength()).
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {Object} data - Object with x, y and optional rotation (mutated)
+ * @param {number} width - Source pixel width of the box
+ * @param {number} height - Source pixel height of the box
+ */
+function transformBox(t, data, width, height) {
+  const centre = transformPoint(t, (data.x ?? 0) + width / 2, (data.y ?? 0) + height / 2);
+  data.x = roundCoord(centre.x - (width * t.scale) / 2);
+  data.y = roundCoord(centre.y - (height * t.scale) / 2);
+  data.rotation = transformAngle(t, data.rotation);
+}
+
+/**
+ * Scale a pixel length by the transform's scale factor.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {number|undefined} value
+ * @returns {number|undefined} The scaled length, or the input if it is not a number
+ */
+function scaleLength(t, value) {
+  if (typeof value !== "number" || t.scale === 1) return value;
+  return roundCoord(value * t.scale);
+}
+
+/**
+ * Strip floating point noise introduced by sin/cos (e.g. 1199.9999999998).
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCoord(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Embedded document types and how to transform their coordinate fields.
  * Each entry maps to a Foundry embedded document collection name and
- * describes which fields contain coordinates.
+ * moves/rotates every coordinate field into the merged scene.
+ *
+ * anchorFn returns a representative point (centre or origin) used to decide which
+ * scene a document belongs to.
  */
 const EMBEDDED_TYPES = [
   {
     collection: "walls",
     documentName: "Wall",
-    offsetFn: (data, dx, dy) => {
-      // Wall coordinates are stored as c: [x1, y1, x2, y2]
+    anchorFn: (data) => ({ x: (data.c[0] + data.c[2]) / 2, y: (data.c[1] + data.c[3]) / 2 }),
+    transformFn: (data, t) => {
+      // Wall coordinates are stored as c: [x1, y1, x2, y2]. Both endpoints move
+      // together, so wall direction (left/right of the segment) and door swing,
+      // which are defined relative to the segment, stay correct under rotation.
       if (data.c) {
-        data.c = [data.c[0] + dx, data.c[1] + dy, data.c[2] + dx, data.c[3] + dy];
+        const a = transformPoint(t, data.c[0], data.c[1]);
+        const b = transformPoint(t, data.c[2], data.c[3]);
+        data.c = [a.x, a.y, b.x, b.y];
+      }
+      // A mirror swaps the sides of the segment: one-way walls face the other way
+      // and doors swing the other way round their hinge
+      if (isMirrored(t)) {
+        const { LEFT, RIGHT } = CONST.WALL_DIRECTIONS;
+        if (data.dir === LEFT) data.dir = RIGHT;
+        else if (data.dir === RIGHT) data.dir = LEFT;
+        if (data.animation?.direction) data.animation.direction *= -1;
       }
       return data;
     },
@@ -28,51 +309,75 @@ const EMBEDDED_TYPES = [
   {
     collection: "lights",
     documentName: "AmbientLight",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data) => ({ x: data.x ?? 0, y: data.y ?? 0 }),
+    transformFn: (data, t) => {
+      Object.assign(data, transformPoint(t, data.x, data.y));
+      // Directional (angled) lights emit along their rotation. Bright/dim radii are
+      // in grid distance units, so they follow a rescaled grid without changes
+      data.rotation = transformDirection(t, data.rotation);
       return data;
     },
   },
   {
     collection: "sounds",
     documentName: "AmbientSound",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data) => ({ x: data.x ?? 0, y: data.y ?? 0 }),
+    transformFn: (data, t) => {
+      // The radius is in grid distance units, like light radii
+      Object.assign(data, transformPoint(t, data.x, data.y));
       return data;
     },
   },
   {
     collection: "tokens",
     documentName: "Token",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data, gridSize) => ({
+      x: (data.x ?? 0) + ((data.width ?? 1) * gridSize) / 2,
+      y: (data.y ?? 0) + ((data.height ?? 1) * gridSize) / 2,
+    }),
+    transformFn: (data, t) => {
+      // Token width/height are in grid units, so a token keeps its size in squares
+      // when the source is rescaled to the merged grid
+      transformBox(t, data, (data.width ?? 1) * t.gridSize, (data.height ?? 1) * t.gridSize);
+      mirrorTexture(t, data);
       return data;
     },
   },
   {
     collection: "tiles",
     documentName: "Tile",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data) => ({ x: (data.x ?? 0) + (data.width ?? 0) / 2, y: (data.y ?? 0) + (data.height ?? 0) / 2 }),
+    transformFn: (data, t) => {
+      transformBox(t, data, data.width ?? 0, data.height ?? 0);
+      data.width = scaleLength(t, data.width);
+      data.height = scaleLength(t, data.height);
+      mirrorTexture(t, data);
       return data;
     },
   },
   {
     collection: "drawings",
     documentName: "Drawing",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
-      // Drawing shapes may have absolute points that also need offsetting
-      if (data.shape?.points?.length) {
-        data.shape.points = data.shape.points.map((pt, i) =>
-          i % 2 === 0 ? pt : pt
-        );
-        // Points in drawings are relative to (x, y), so no additional offset needed
+    anchorFn: (data) => ({
+      x: (data.x ?? 0) + (data.shape?.width ?? 0) / 2,
+      y: (data.y ?? 0) + (data.shape?.height ?? 0) / 2,
+    }),
+    transformFn: (data, t) => {
+      // Drawing shape points are relative to (x, y) and rotate with the drawing
+      // around the centre of its shape bounds, so only the box moves
+      transformBox(t, data, data.shape?.width ?? 0, data.shape?.height ?? 0);
+      // Drawings have no texture scale, so their points are mirrored within the shape
+      if (data.shape?.points?.length && (t.fx < 0 || t.fy < 0)) {
+        const { width = 0, height = 0 } = data.shape;
+        data.shape.points = data.shape.points.map((v, i) => {
+          if (i % 2 === 0) return t.fx < 0 ? width - v : v;
+          return t.fy < 0 ? height - v : v;
+        });
+      }
+      if (data.shape && t.scale !== 1) {
+        data.shape.width = scaleLength(t, data.shape.width);
+        data.shape.height = scaleLength(t, data.shape.height);
+        if (data.shape.points?.length) data.shape.points = data.shape.points.map((v) => scaleLength(t, v));
       }
       return data;
     },
@@ -80,62 +385,160 @@ const EMBEDDED_TYPES = [
   {
     collection: "notes",
     documentName: "Note",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data) => ({ x: data.x ?? 0, y: data.y ?? 0 }),
+    transformFn: (data, t) => {
+      Object.assign(data, transformPoint(t, data.x, data.y));
       return data;
     },
   },
   {
     collection: "templates",
     documentName: "MeasuredTemplate",
-    offsetFn: (data, dx, dy) => {
-      data.x = (data.x ?? 0) + dx;
-      data.y = (data.y ?? 0) + dy;
+    anchorFn: (data) => ({ x: data.x ?? 0, y: data.y ?? 0 }),
+    transformFn: (data, t) => {
+      Object.assign(data, transformPoint(t, data.x, data.y));
+      data.direction = transformDirection(t, data.direction, 0);
       return data;
     },
   },
   {
     collection: "regions",
     documentName: "Region",
-    offsetFn: (data, dx, dy) => {
+    anchorFn: (data) => getRegionShapeAnchor(data.shapes?.[0]),
+    transformFn: (data, t) => {
       // Regions contain an array of shapes, each with point-based geometry
       if (data.shapes?.length) {
-        data.shapes = data.shapes.map((shape) => {
-          const s = foundry.utils.deepClone(shape);
-          if (s.points?.length) {
-            s.points = s.points.map((val, i) => (i % 2 === 0 ? val + dx : val + dy));
-          }
-          if (s.x !== undefined) s.x += dx;
-          if (s.y !== undefined) s.y += dy;
-          return s;
-        });
+        data.shapes = data.shapes.map((shape) => transformRegionShape(t, shape));
       }
       return data;
     },
   },
 ];
 
+/**
+ * Representative point of a Region shape: its centre, or the average of its polygon points.
+ *
+ * @param {Object|undefined} shape
+ * @returns {{x: number, y: number}}
+ */
+function getRegionShapeAnchor(shape) {
+  if (!shape) return { x: 0, y: 0 };
+  if (shape.type === "polygon" && shape.points?.length) {
+    let x = 0;
+    let y = 0;
+    const count = shape.points.length / 2;
+    for (let i = 0; i < shape.points.length; i += 2) {
+      x += shape.points[i];
+      y += shape.points[i + 1];
+    }
+    return { x: x / count, y: y / count };
+  }
+  if (shape.type === "rectangle") {
+    return { x: (shape.x ?? 0) + (shape.width ?? 0) / 2, y: (shape.y ?? 0) + (shape.height ?? 0) / 2 };
+  }
+  return { x: shape.x ?? 0, y: shape.y ?? 0 };
+}
+
+/**
+ * Transform a single Region shape.
+ *
+ * @param {Object} t - Transform from createSceneTransform()
+ * @param {Object} shape - Region shape data
+ * @returns {Object} A transformed copy of the shape
+ */
+function transformRegionShape(t, shape) {
+  const s = foundry.utils.deepClone(shape);
+  switch (s.type) {
+    case "polygon": {
+      const points = [];
+      for (let i = 0; i < (s.points?.length ?? 0); i += 2) {
+        const p = transformPoint(t, s.points[i], s.points[i + 1]);
+        points.push(p.x, p.y);
+      }
+      s.points = points;
+      break;
+    }
+    case "rectangle":
+      // Rectangles are anchored at their top-left and rotate about their centre
+      transformBox(t, s, s.width ?? 0, s.height ?? 0);
+      s.width = scaleLength(t, s.width);
+      s.height = scaleLength(t, s.height);
+      break;
+    case "ellipse":
+      Object.assign(s, transformPoint(t, s.x, s.y));
+      s.rotation = transformAngle(t, s.rotation);
+      s.radiusX = scaleLength(t, s.radiusX);
+      s.radiusY = scaleLength(t, s.radiusY);
+      break;
+    default:
+      // Circles and any other centre-anchored shapes
+      if (s.x !== undefined && s.y !== undefined) Object.assign(s, transformPoint(t, s.x, s.y));
+      if (s.radius !== undefined) s.radius = scaleLength(t, s.radius);
+      break;
+  }
+  return s;
+}
+
+/**
+ * The part of a layout entry that ends up in the merged scene: its crop
+ * rectangle, scaled and offset by the entry's position, or the whole entry.
+ *
+ * @param {{x: number, y: number, width: number, height: number, scale?: number, crop?: Object|null}} layout
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getLayoutVisibleBox(layout) {
+  const { crop } = layout;
+  if (!crop) return { x: layout.x, y: layout.y, width: layout.width, height: layout.height };
+  const scale = layout.scale ?? 1;
+  // The crop is in unmirrored source space; a flipped entry shows it mirrored
+  return {
+    x: layout.x + (layout.flipX ? layout.width - (crop.x + crop.width) * scale : crop.x * scale),
+    y: layout.y + (layout.flipY ? layout.height - (crop.y + crop.height) * scale : crop.y * scale),
+    width: crop.width * scale,
+    height: crop.height * scale,
+  };
+}
+
+/**
+ * Axis-aligned bounds of what a layout entry covers in the merged scene: its
+ * visible box, turned by the entry's rotation about the centre of the entry.
+ *
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number, scale?: number, crop?: Object|null}} layout
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getLayoutBounds(layout) {
+  const box = getLayoutVisibleBox(layout);
+  if (!layout.rotation) return box;
+  const centre = { x: layout.x + layout.width / 2, y: layout.y + layout.height / 2 };
+  return polygonBounds(rotateRectAbout(box, layout.rotation, centre));
+}
+
 /**
  * Compute the normalised bounding box from scene layouts.
- * Shifts all positions so the top-left corner is at (0, 0).
+ * Shifts all positions so the top-left corner is at (0, 0). Entries count with
+ * their rotated, cropped footprint (see getLayoutBounds()).
  *
- * @param {Array<{sceneId: string, x: number, y: number, width: number, height: number}>} layouts
+ * @param {Array<{sceneId: string, x: number, y: number, width: number, height: number, crop?: Object|null}>} layouts
+ * @param {Function} [snapOrigin] - Maps the top-left corner (x, y) to the point that becomes
+ *   (0, 0), at or above-left of it; used to keep the shift on a hex lattice
  * @returns {{ normalisedLayouts: Array, totalWidth: number, totalHeight: number }}
  */
-function computeBoundingBox(layouts) {
+function computeBoundingBox(layouts, snapOrigin) {
   let minX = Infinity;
   let minY = Infinity;
   let maxX = -Infinity;
   let maxY = -Infinity;
 
   for (const layout of layouts) {
-    minX = Math.min(minX, layout.x);
-    minY = Math.min(minY, layout.y);
-    maxX = Math.max(maxX, layout.x + layout.width);
-    maxY = Math.max(maxY, layout.y + layout.height);
+    const box = getLayoutBounds(layout);
+    minX = Math.min(minX, box.x);
+    minY = Math.min(minY, box.y);
+    maxX = Math.max(maxX, box.x + box.width);
+    maxY = Math.max(maxY, box.y + box.height);
   }
 
+  if (snapOrigin) ({ x: minX, y: minY } = snapOrigin(minX, minY));
+
   const normalisedLayouts = layouts.map((l) => ({
     ...l,
     x: l.x - minX,
@@ -172,26 +575,81 @@ function getScenePixelDimensions(scene) {
   };
 }
 
+/**
+ * Get the top-left corner of a scene's rectangle in canvas space.
+ * This is where the padding ends and where Foundry draws the background image.
+ *
+ * @param {Scene} scene - The Foundry Scene document
+ * @returns {{x: number, y: number}}
+ */
+function getSceneOrigin(scene) {
+  if (scene.dimensions) {
+    return { x: scene.dimensions.sceneX ?? 0, y: scene.dimensions.sceneY ?? 0 };
+  }
+  // Fallback: Foundry rounds the padding up to a whole number of grid spaces
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(scene);
+  return getPaddedOrigin(sceneWidth, sceneHeight, scene.padding ?? 0, scene.grid?.size ?? 100);
+}
+
+/**
+ * Where Foundry would put the scene rect of a square-grid scene that does not exist
+ * yet: the padding is rounded up to whole grid spaces.
+ *
+ * @param {number} width - Scene width in pixels
+ * @param {number} height - Scene height in pixels
+ * @param {number} padding - Padding as a fraction of the scene size
+ * @param {number} gridSize
+ * @returns {{x: number, y: number}}
+ */
+function getPaddedOrigin(width, height, padding, gridSize) {
+  return {
+    x: Math.ceil((padding * width) / gridSize) * gridSize,
+    y: Math.ceil((padding * height) / gridSize) * gridSize,
+  };
+}
+
+/**
+ * Where a scene's background (and foreground) image is drawn, in scene pixels
+ * relative to the scene rect.
+ *
+ * @param {Scene} scene
+ * @returns {{width: number, height: number, offsetX: number, offsetY: number}}
+ */
+function getSceneImageFrame(scene) {
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(scene);
+  return {
+    width: sceneWidth,
+    height: sceneHeight,
+    offsetX: scene.background?.offsetX ?? 0,
+    offsetY: scene.background?.offsetY ?? 0,
+  };
+}
+
 /**
  * Validate that all source scenes have compatible grid configurations.
  * Returns warnings but does not block the merge.
  *
+ * Grid sizes are compared after each scene's layout scale is applied, so scenes
+ * rescaled to a common grid size do not warn.
+ *
  * @param {Scene[]} scenes
+ * @param {number[]} [scales] - Layout scale per scene (default 1)
  * @returns {string[]} Array of warning messages
  */
-function validateGridCompatibility(scenes) {
+function validateGridCompatibility(scenes, scales = []) {
   const warnings = [];
   if (scenes.length < 2) return warnings;
 
+  const effectiveSize = (i) => roundCoord((scenes[i].grid?.size ?? 100) * (scales[i] ?? 1));
   const first = scenes[0];
-  const refSize = first.grid?.size;
+  const refSize = effectiveSize(0);
   const refType = first.grid?.type;
 
   for (let i = 1; i < scenes.length; i++) {
     const s = scenes[i];
-    if (s.grid?.size !== refSize) {
+    if (Math.abs(effectiveSize(i) - refSize) > 0.01) {
       warnings.push(
-        `Grid size mismatch: "${first.name}" uses ${refSize}px, "${s.name}" uses ${s.grid?.size}px.`
+        `Grid size mismatch: "${first.name}" uses ${refSize}px, "${s.name}" uses ${effectiveSize(i)}px.`
       );
     }
     if (s.grid?.type !== refType) {
@@ -204,17 +662,116 @@ function validateGridCompatibility(scenes) {
   return warnings;
 }
 
+/**
+ * Move layouts so every source's hex grid lines up with the merged scene's hex grid.
+ * Each offset is moved to the nearest position where the source's grid falls on
+ * the merged lattice, which also keeps the odd/even row (or column) parity.
+ *
+ * Sources with a different grid type (already reported by validateGridCompatibility)
+ * and sources turned by anything but a half turn cannot line up and are left alone.
+ *
+ * @param {Object[]} layouts - Layout entries (x/y mutated)
+ * @param {Scene[]} scenes - Source scenes, in layout order
+ * @param {{type: number, size: number}} grid - The merged scene's grid
+ * @returns {{lattice: Object|null, warnings: string[]}} The merged hex lattice (null if not hex)
+ */
+function alignLayoutsToHexGrid(layouts, scenes, grid) {
+  const lattice = getHexLattice(grid);
+  const warnings = [];
+  if (!lattice) return { lattice, warnings };
+
+  layouts.forEach((layout, i) => {
+    const scene = scenes[i];
+    if (scene.grid?.type !== grid.type) return;
+
+    const scale = layout.scale ?? 1;
+    const phase = getHexPhase({
+      width: layout.width / scale,
+      height: layout.height / scale,
+      origin: getSceneOrigin(scene),
+      scale,
+      rotation: layout.rotation ?? 0,
+      flipX: !!layout.flipX,
+      flipY: !!layout.flipY,
+    });
+    if (!phase) {
+      warnings.push(`"${scene.name}" is rotated by ${layout.rotation}\u00B0, so its hex grid cannot line up with the merged grid.`);
+      return;
+    }
+
+    const target = nearestLatticePoint(lattice, layout.x + phase.x, layout.y + phase.y);
+    const dx = roundCoord(target.x - phase.x - layout.x);
+    const dy = roundCoord(target.y - phase.y - layout.y);
+    if (Math.hypot(dx, dy) > 0.5) {
+      warnings.push(`"${scene.name}" was moved by (${dx}, ${dy}) px to line up with the hex grid.`);
+    }
+    layout.x += dx;
+    layout.y += dy;
+  });
+
+  return { lattice, warnings };
+}
+
+/**
+ * Check that every square-grid source still lines up with the merged scene's grid
+ * once scaled and placed. Grid lines fall on multiples of the grid size from each
+ * scene rect's origin, so a source lines up when its scaled grid size matches the
+ * merged one and its own scene rect origin lands on a merged grid point.
+ *
+ * Sources whose grid size or type differs are reported by validateGridCompatibility,
+ * and sources turned off a quarter turn cannot line up; both are skipped here.
+ *
+ * @param {Object[]} layouts - Normalised layout entries (offsets relative to the merged scene rect)
+ * @param {Scene[]} scenes - Source scenes, in layout order
+ * @param {{type: number, size: number}} grid - The merged scene's grid
+ * @returns {string[]} Array of warning messages
+ */
+function validateSquareGridAlignment(layouts, scenes, grid) {
+  const warnings = [];
+  if (grid.type !== CONST.GRID_TYPES.SQUARE) return warnings;
+
+  const offGrid = (value) => {
+    const rest = ((value % grid.size) + grid.size) % grid.size;
+    return roundCoord(rest > grid.size / 2 ? rest - grid.size : rest);
+  };
+  layouts.forEach((layout, i) => {
+    const scene = scenes[i];
+    const scale = layout.scale ?? 1;
+    const size = (scene.grid?.size ?? 100) * scale;
+    if (scene.grid?.type !== grid.type || (layout.rotation ?? 0) % 90 !== 0) return;
+    if (Math.abs(size - grid.size) > 0.01) return;
+
+    const transform = createLayoutTransform(scene, layout, { x: 0, y: 0 });
+    const origin = getSceneOrigin(scene);
+    const corner = transformPoint(transform, origin.x, origin.y);
+    const dx = offGrid(corner.x);
+    const dy = offGrid(corner.y);
+    if (Math.abs(dx) <= 0.5 && Math.abs(dy) <= 0.5) return;
+    const detail = scale === 1 ? "" : ` at ${roundCoord(scale * 100)}%`;
+    warnings.push(`The grid of "${scene.name}"${detail} is off the merged grid by (${dx}, ${dy}) px.`);
+  });
+  return warnings;
+}
+
 /**
  * Collect all embedded documents from a source scene, strip IDs,
- * and apply coordinate offsets.
+ * and transform their coordinates into the merged scene.
  *
  * @param {Scene} scene - Source scene document
- * @param {number} offsetX - Pixel offset on the X axis
- * @param {number} offsetY - Pixel offset on the Y axis
+ * @param {Object} transform - Transform from createSceneTransform()
+ * @param {Object} [filters] - Which documents to copy (see matchesFilters()); omitted = all
+ * @param {{x: number, y: number, width: number, height: number}|null} [crop] - Crop rectangle in
+ *   the source's scene-rect space; documents are clipped to it (see clipDocument())
  * @returns {Object} Map of documentName -> array of document data objects
  */
-function collectEmbeddedDocuments(scene, offsetX, offsetY) {
+function collectEmbeddedDocuments(scene, transform, filters = {}, crop = null) {
   const result = {};
+  const cropRect = crop && {
+    x: transform.sourceX + crop.x,
+    y: transform.sourceY + crop.y,
+    width: crop.width,
+    height: crop.height,
+  };
 
   for (const type of EMBEDDED_TYPES) {
     const collection = scene[type.collection];
@@ -224,10 +781,14 @@ function collectEmbeddedDocuments(scene, offsetX, offsetY) {
     for (const doc of collection) {
       // Convert to plain object and strip the ID so Foundry generates a new one
       const data = doc.toObject();
+      if (!matchesFilters(type.documentName, data, filters)) continue;
+      // Split pieces' whole-image tiles extend past the piece by design and are kept
+      const wholeImage = data.flags?.["scene-stitcher"]?.splitBackground;
+      if (cropRect && !wholeImage && !clipDocument(type, data, cropRect, transform.gridSize)) continue;
       delete data._id;
 
-      // Apply coordinate offsets
-      type.offsetFn(data, offsetX, offsetY);
+      // Move and rotate into merged scene space
+      type.transformFn(data, transform);
 
       // Tag with source scene info for traceability
       data.flags = data.flags ?? {};
@@ -235,6 +796,7 @@ function collectEmbeddedDocuments(scene, offsetX, offsetY) {
         ...(data.flags["scene-stitcher"] ?? {}),
         sourceSceneId: scene.id,
         sourceSceneName: scene.name,
+        sourceDocumentId: doc.id,
       };
 
       docs.push(data);
@@ -253,26 +815,31 @@ function collectEmbeddedDocuments(scene, offsetX, offsetY) {
  * Create background tile data for a source scene.
  * References the original background.src (image or video) at the correct offset.
  *
+ * The image is placed where Foundry draws it in the source scene — the scene rect
+ * origin shifted by background.offsetX/Y — and then moved with the same transform
+ * as the embedded documents so the two stay aligned.
+ *
  * @param {Scene} scene - Source scene
- * @param {number} offsetX - X offset in the merged scene
- * @param {number} offsetY - Y offset in the merged scene
- * @param {number} layoutWidth - Width from the layout canvas (pixel dimensions)
- * @param {number} layoutHeight - Height from the layout canvas (pixel dimensions)
+ * @param {Object} transform - Transform from createSceneTransform()
+ * @param {number} layoutWidth - Width from the layout canvas (pixel dimensions, after scaling)
+ * @param {number} layoutHeight - Height from the layout canvas (pixel dimensions, after scaling)
  * @param {number} [zIndex=-1000] - Sort order for layering
- * @param {number} [rotation=0] - Rotation in degrees
+ * @param {Object|null} [crop] - Crop rectangle with the trimmed image, from getImageCrop()
  * @returns {Object|null} Tile data object, or null if no background
  */
-function createBackgroundTileData(scene, offsetX, offsetY, layoutWidth, layoutHeight, zIndex = -1000, rotation = 0) {
+function createBackgroundTileData(scene, transform, layoutWidth, layoutHeight, zIndex = -1000, crop = null) {
   const bgSrc = scene.background?.src;
   if (!bgSrc) return null;
 
+  const box = placeSceneImage(scene, transform, layoutWidth, layoutHeight, crop);
+
   return {
-    texture: { src: bgSrc },
-    x: offsetX,
-    y: offsetY,
-    width: layoutWidth,
-    height: layoutHeight,
-    rotation: rotation,
+    texture: { src: crop?.src ?? bgSrc, scaleX: transform.fx, scaleY: transform.fy },
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    rotation: box.rotation,
     overhead: false,
     sort: zIndex,
     hidden: false,
@@ -287,17 +854,610 @@ function createBackgroundTileData(scene, offsetX, offsetY, layoutWidth, layoutHe
   };
 }
 
+/**
+ * Create overhead tile data for a source scene's foreground image.
+ *
+ * Foundry draws the foreground over the same rectangle as the background, so it
+ * gets the same placement, layer and rotation. Its elevation is the source's
+ * foreground elevation, which keeps it above tokens, and it fades when a token
+ * moves beneath it, like the scene foreground does.
+ *
+ * @param {Scene} scene - Source scene
+ * @param {Object} transform - Transform from createSceneTransform()
+ * @param {number} layoutWidth - Width from the layout canvas (pixel dimensions, after scaling)
+ * @param {number} layoutHeight - Height from the layout canvas (pixel dimensions, after scaling)
+ * @param {number} [zIndex=-1000] - Sort order for layering
+ * @param {Object|null} [crop] - Crop rectangle with the trimmed image, from getImageCrop()
+ * @returns {Object|null} Tile data object, or null if no foreground
+ */
+function createForegroundTileData(scene, transform, layoutWidth, layoutHeight, zIndex = -1000, crop = null) {
+  const fgSrc = scene.foreground;
+  if (!fgSrc) return null;
+
+  const box = placeSceneImage(scene, transform, layoutWidth, layoutHeight, crop);
+
+  return {
+    texture: { src: crop?.src ?? fgSrc, scaleX: transform.fx, scaleY: transform.fy },
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    rotation: box.rotation,
+    elevation: getForegroundElevation(scene),
+    occlusion: { mode: CONST.OCCLUSION_MODES.FADE, alpha: 0 },
+    restrictions: { light: false, weather: false },
+    sort: zIndex,
+    hidden: false,
+    locked: true,
+    flags: {
+      "scene-stitcher": {
+        isForeground: true,
+        sourceSceneId: scene.id,
+        sourceSceneName: scene.name,
+      },
+    },
+  };
+}
+
+/**
+ * Where a scene's background and foreground images end up in the merged scene:
+ * the scene rect origin shifted by background.offsetX/Y, moved with the transform.
+ * A trimmed image covers only its crop rectangle.
+ *
+ * @param {Scene} scene - Source scene
+ * @param {Object} transform - Transform from createSceneTransform()
+ * @param {number} layoutWidth - Image width after scaling
+ * @param {number} layoutHeight - Image height after scaling
+ * @param {Object|null} [crop] - Crop rectangle in scene-rect space, if the image is trimmed
+ * @returns {{x: number, y: number, width: number, height: number, rotation: number}}
+ */
+function placeSceneImage(scene, transform, layoutWidth, layoutHeight, crop = null) {
+  if (crop) {
+    const box = { x: transform.sourceX + crop.x, y: transform.sourceY + crop.y, rotation: 0 };
+    transformBox(transform, box, crop.width, crop.height);
+    return { ...box, width: scaleLength(transform, crop.width), height: scaleLength(transform, crop.height) };
+  }
+  const box = {
+    x: transform.sourceX + (scene.background?.offsetX ?? 0),
+    y: transform.sourceY + (scene.background?.offsetY ?? 0),
+    rotation: 0,
+  };
+  transformBox(transform, box, layoutWidth / transform.scale, layoutHeight / transform.scale);
+  return { ...box, width: layoutWidth, height: layoutHeight };
+}
+
+/**
+ * A layout entry's crop for one of its scene images, or null when that image is
+ * placed whole (no crop, or it could not be trimmed, e.g. a video).
+ *
+ * @param {Object} layout - Layout entry, with `crop` and the `croppedImages` from cropSceneImages()
+ * @param {'background'|'foreground'} image
+ * @returns {{x: number, y: number, width: number, height: number, src: string}|null}
+ */
+function getImageCrop(layout, image) {
+  const src = layout.croppedImages?.[image];
+  return layout.crop && src ? { ...layout.crop, src } : null;
+}
+
+/**
+ * Trim a scene's background and foreground images to a crop rectangle and upload them.
+ * Videos cannot be cropped and are left out, so they are placed whole.
+ *
+ * @param {Scene} scene
+ * @param {{x: number, y: number, width: number, height: number}} crop - In scene-rect space
+ * @param {string[]} warnings - Collected warnings (mutated)
+ * @returns {Promise<{background?: string, foreground?: string}>} Uploaded paths per image
+ */
+async function cropSceneImages(scene, crop, warnings) {
+  const directory = `scene-stitcher/crops/${slugify(scene.name)}-${scene.id}`;
+  const suffix = [crop.x, crop.y, crop.width, crop.height].map(Math.round).join("-");
+  const result = {};
+  for (const [image, src] of [["background", scene.background?.src], ["foreground", scene.foreground]]) {
+    if (!src) continue;
+    if (isVideoSource(src)) {
+      warnings.push(`The ${image} video of "${scene.name}" cannot be cropped and is placed whole.`);
+      continue;
+    }
+    try {
+      const loaded = await loadImage(src);
+      result[image] = await cropSceneImage(loaded, getSceneImageFrame(scene), crop, directory, `${image}-${suffix}`);
+    } catch (err) {
+      console.warn(`Scene Stitcher: Could not crop the ${image} of ${scene.name}`, err);
+      warnings.push(`Could not crop the ${image} of "${scene.name}"; it is placed whole.`);
+    }
+  }
+  return result;
+}
+
+/**
+ * The elevation of a scene's foreground layer. Unset values fall back to
+ * Foundry's default of four grid distances.
+ *
+ * @param {Scene} scene
+ * @returns {number}
+ */
+function getForegroundElevation(scene) {
+  return scene.foregroundElevation ?? (scene.grid?.distance ?? 5) * 4;
+}
+
+/**
+ * Build the transform for one layout entry of a merge.
+ * Shared by the merge itself and by re-syncing, so both place documents identically.
+ *
+ * @param {Scene} scene - Source scene
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number, scale?: number, flipX?: boolean, flipY?: boolean}} layout
+ *   Normalised layout entry (offsets relative to the merged scene rect, size after scaling)
+ * @param {{x: number, y: number}} targetOrigin - Merged scene rect origin
+ * @returns {Object} Transform from createSceneTransform()
+ */
+function createLayoutTransform(scene, layout, targetOrigin) {
+  const scale = layout.scale ?? 1;
+  return createSceneTransform({
+    offsetX: layout.x,
+    offsetY: layout.y,
+    width: layout.width / scale,
+    height: layout.height / scale,
+    rotation: layout.rotation ?? 0,
+    scale,
+    flipX: !!layout.flipX,
+    flipY: !!layout.flipY,
+    gridSize: scene.grid?.size ?? 100,
+    sourceOrigin: getSceneOrigin(scene),
+    targetOrigin,
+  });
+}
+
+/**
+ * Drop duplicate uncropped background Tiles created by the split engine.
+ * When split pieces are stitched back together, each piece contributes an
+ * identical full-size Tile at the same final position.
+ *
+ * @param {Object[]} tiles - Tile data in merged scene space
+ * @returns {Object[]}
+ */
+function dedupeSplitBackgrounds(tiles) {
+  const seen = new Set();
+  return tiles.filter((tile) => {
+    const key = splitBackgroundKey(tile);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Identity of an uncropped split background Tile: its source file and final placement.
+ *
+ * @param {Object} tile - Tile data or document
+ * @returns {string|null} The key, or null if the tile is not a split background
+ */
+function splitBackgroundKey(tile) {
+  if (!tile.flags?.["scene-stitcher"]?.splitBackground) return null;
+  return [tile.texture?.src, tile.x, tile.y, tile.width, tile.height, tile.rotation, tile.texture?.scaleX, tile.texture?.scaleY].join("|");
+}
+
+/**
+ * The placed outline of a source's scene rect (or its crop), as a polygon in merged scene space.
+ *
+ * @param {Object} transform - From createLayoutTransform()
+ * @param {{x: number, y: number, width: number, height: number}|null} [crop] - In scene-rect space
+ * @returns {number[]} Flat point array of the four corners
+ */
+function getLayoutFootprint(transform, crop = null) {
+  const x = transform.sourceX + (crop?.x ?? 0);
+  const y = transform.sourceY + (crop?.y ?? 0);
+  const width = crop?.width ?? transform.width;
+  const height = crop?.height ?? transform.height;
+  const corners = [
+    [x, y],
+    [x + width, y],
+    [x + width, y + height],
+    [x, y + height],
+  ];
+  return corners.flatMap(([x, y]) => {
+    const p = transformPoint(transform, x, y);
+    return [p.x, p.y];
+  });
+}
+
+/**
+ * Where the top-left, top-right and bottom-left corners of a source's scene rect
+ * end up in merged scene space; a fog image stretched over the scene rect is drawn
+ * between them.
+ *
+ * @param {Object} transform - From createSceneTransform()
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getFogFrame(transform) {
+  const { sourceX: x, sourceY: y, width, height } = transform;
+  return [transformPoint(transform, x, y), transformPoint(transform, x + width, y), transformPoint(transform, x, y + height)];
+}
+
+/**
+ * @typedef {Object} MergeFailure
+ * @property {string|null} documentName - Embedded document type, or null for a failed merge step
+ * @property {string|null} sourceSceneId
+ * @property {string|null} sourceSceneName
+ * @property {string|null} sourceDocumentId - Null for generated tiles and merge steps
+ * @property {'background'|'foreground'|null} generated - Which generated tile failed, if any
+ * @property {string} error - The error message
+ */
+
+/**
+ * @typedef {Object} MergeReport
+ * @property {Object<string, number>} created - Number of documents created per type
+ * @property {MergeFailure[]} failures
+ * @property {Object[]} unresolved - Region references into stitched scenes that have no copy
+ *   (see remapRegionReferences())
+ * @property {boolean} rolledBack - Whether the partial scene was deleted
+ */
+
+/**
+ * Describe a failed document (or merge step) for the merge report.
+ *
+ * @param {string|null} documentName
+ * @param {Object} data - The document data that failed ({} for a merge step)
+ * @param {Error} err
+ * @returns {MergeFailure}
+ */
+function describeFailure(documentName, data, err) {
+  const flags = data.flags?.["scene-stitcher"] ?? {};
+  return {
+    documentName,
+    sourceSceneId: flags.sourceSceneId ?? null,
+    sourceSceneName: flags.sourceSceneName ?? null,
+    sourceDocumentId: flags.sourceDocumentId ?? null,
+    generated: flags.isBackground ? "background" : flags.isForeground ? "foreground" : null,
+    error: err?.message ?? String(err),
+  };
+}
+
+/**
+ * @typedef {Object} MergeProgress
+ * @property {number} done - Documents processed so far (created or failed)
+ * @property {number} total
+ * @property {string|null} documentName - Type of the chunk just processed
+ * @property {Object<string, {done: number, total: number}>} byType
+ * @property {Object<string, {name: string, done: number, total: number}>} byScene - Keyed by source scene ID
+ */
+
+/**
+ * Count documents to create per type and per source scene, and report each
+ * processed chunk to a progress callback.
+ *
+ * @param {Array<[string, Object[]]>} batches - [documentName, docs] in creation order
+ * @param {Scene[]} scenes - Source scenes
+ * @param {Function} [onProgress] - Called with the MergeProgress after every chunk
+ * @returns {{advance: Function}} advance(documentName, docs) marks a chunk as processed
+ */
+function createProgressTracker(batches, scenes, onProgress) {
+  const progress = { done: 0, total: 0, documentName: null, byType: {}, byScene: {} };
+  for (const scene of scenes) progress.byScene[scene.id] = { name: scene.name, done: 0, total: 0 };
+
+  const tally = (documentName, docs, key) => {
+    progress[key] += docs.length;
+    progress.byType[documentName] ??= { done: 0, total: 0 };
+    progress.byType[documentName][key] += docs.length;
+    for (const data of docs) {
+      const entry = progress.byScene[data.flags?.["scene-stitcher"]?.sourceSceneId];
+      if (entry) entry[key]++;
+    }
+  };
+  for (const [documentName, docs] of batches) tally(documentName, docs, "total");
+
+  return {
+    advance(documentName, docs) {
+      progress.documentName = documentName;
+      tally(documentName, docs, "done");
+      onProgress?.(progress);
+    },
+  };
+}
+
+/**
+ * Create embedded documents on the merged scene in chunks, so huge merges do not
+ * block the client in a single request and can be cancelled between chunks.
+ *
+ * @param {Scene} scene - The merged scene
+ * @param {string} documentName
+ * @param {Object[]} docs
+ * @param {Object} tx - The merge transaction
+ * @param {MergeReport} tx.report - Mutated
+ * @param {{advance: Function}} tx.progress - From createProgressTracker()
+ * @param {number} tx.chunkSize
+ * @param {AbortSignal} [tx.signal] - Checked before every chunk
+ */
+async function createTracked(scene, documentName, docs, tx) {
+  for (let i = 0; i < docs.length; i += tx.chunkSize) {
+    if (tx.signal?.aborted) throw new Error("Cancelled by the user");
+    const chunk = docs.slice(i, i + tx.chunkSize);
+    await createChunk(scene, documentName, chunk, tx.report);
+    tx.progress.advance(documentName, chunk);
+  }
+}
+
+/**
+ * Create one chunk of embedded documents and record the outcome.
+ * A failed chunk is retried one document at a time, so the failure is pinned to
+ * the individual source documents and the rest of the chunk still gets created.
+ *
+ * @param {Scene} scene - The merged scene
+ * @param {string} documentName
+ * @param {Object[]} docs
+ * @param {MergeReport} report - Mutated
+ */
+async function createChunk(scene, documentName, docs, report) {
+  const count = (n) => (report.created[documentName] = (report.created[documentName] ?? 0) + n);
+  // Regions are given their IDs up front, so references to them can be rewritten;
+  // every other type gets new IDs, whatever its data carries
+  const options = documentName === "Region" ? { keepId: true } : {};
+
+  try {
+    count((await scene.createEmbeddedDocuments(documentName, docs, options)).length);
+    return;
+  } catch (err) {
+    console.warn(`Scene Stitcher: Creating a chunk of ${docs.length} ${documentName} documents failed, retrying one by one`, err);
+  }
+
+  for (const data of docs) {
+    try {
+      const created = await scene.createEmbeddedDocuments(documentName, [data], options);
+      if (!created.length) throw new Error("Creation was cancelled by a module or hook");
+      count(1);
+    } catch (err) {
+      report.failures.push(describeFailure(documentName, data, err));
+    }
+  }
+}
+
+/**
+ * Summarise a merge report's failures in one line, for error messages.
+ *
+ * @param {MergeReport} report
+ * @returns {string}
+ */
+function summariseFailures(report) {
+  const first = report.failures[0];
+  if (!first) return "";
+  const what = first.documentName
+    ? `${first.documentName} ${first.sourceDocumentId ?? first.generated ?? ""}`.trim()
+    : "Merge step";
+  const where = first.sourceSceneName ? ` from "${first.sourceSceneName}"` : "";
+  const more = report.failures.length > 1 ? ` (and ${report.failures.length - 1} more)` : "";
+  return `${what}${where}: ${first.error}${more}`;
+}
+
+/**
+ * Move every embedded document of a scene with a transform, in place.
+ *
+ * @param {Scene} scene
+ * @param {Object} transform - From createSceneTransform()
+ * @param {Object} [options]
+ * @param {Object[]} [options.types=EMBEDDED_TYPES] - The embedded types to move
+ * @param {Object[]} [options.shifted] - Each type is pushed here once its documents are moved
+ */
+async function shiftSceneDocuments(scene, transform, { types = EMBEDDED_TYPES, shifted } = {}) {
+  for (const type of types) {
+    const updates = [];
+    for (const doc of scene[type.collection] ?? []) {
+      const data = doc.toObject();
+      const changes = foundry.utils.diffObject(data, type.transformFn(foundry.utils.deepClone(data), transform));
+      if (!foundry.utils.isEmpty(changes)) updates.push({ _id: doc.id, ...changes });
+    }
+    if (updates.length) await scene.updateEmbeddedDocuments(type.documentName, updates, { animate: false });
+    shifted?.push(type);
+  }
+}
+
+/** Operation option marking changes made by Scene Stitcher itself (see recordDeletedCopy()) */
+const INTERNAL_OPTION = { "scene-stitcher": { internal: true } };
+
+/**
+ * Flag a target scene's own documents, which are not copies of any source, so
+ * write-back never mistakes them for documents the GM created after the merge.
+ *
+ * @param {Scene} scene
+ * @param {Map<string, string[]>} [marked] - Filled with the IDs of each type as it is flagged
+ * @returns {Promise<Map<string, string[]>>} documentName -> IDs of the documents flagged
+ */
+async function markTargetDocuments(scene, marked = new Map()) {
+  for (const type of EMBEDDED_TYPES) {
+    const ids = (scene[type.collection] ?? [])
+      .filter((doc) => {
+        const flags = doc.flags?.["scene-stitcher"];
+        return !flags?.sourceSceneId && !flags?.ownedByTarget;
+      })
+      .map((doc) => doc.id);
+    if (!ids.length) continue;
+    const updates = ids.map((_id) => ({ _id, "flags.scene-stitcher.ownedByTarget": true }));
+    await scene.updateEmbeddedDocuments(type.documentName, updates, INTERNAL_OPTION);
+    marked.set(type.documentName, ids);
+  }
+  return marked;
+}
+
+/**
+ * Update data that turns one object back into another in a single update: keys
+ * the earlier object did not have are deleted, nested objects are restored the same
+ * way, and everything else is overwritten.
+ *
+ * @param {Object} current
+ * @param {Object} previous
+ * @returns {Object}
+ */
+function getRestoreUpdate(current, previous) {
+  const isObject = (value) => foundry.utils.getType(value) === "Object";
+  const update = {};
+  for (const key of Object.keys(current)) {
+    if (!(key in previous)) update[`-=${key}`] = null;
+  }
+  for (const [key, value] of Object.entries(previous)) {
+    update[key] = isObject(value) && isObject(current[key]) ? getRestoreUpdate(current[key], value) : value;
+  }
+  return update;
+}
+
+/**
+ * Make room in an existing scene for the sources stitched into it.
+ *
+ * The scene is resized to the merged bounding box and its documents are moved by
+ * where its own layout entry ended up, so what was there stays in place relative
+ * to the new sources. Foundry stretches the scene background over the whole scene
+ * rect, so once the size changes (or a flattened image takes its place) the
+ * scene's own background and foreground images become locked Tiles over their old area.
+ * The scene's own documents, and those Tiles, are flagged `ownedByTarget`.
+ * If a step fails, the steps already done are undone before the error is rethrown,
+ * so the target is never left half prepared.
+ *
+ * @param {Scene} target
+ * @param {{x: number, y: number}} layout - The target's normalised layout entry
+ * @param {number} width - New scene width in pixels
+ * @param {number} height - New scene height in pixels
+ * @param {Object} flags - Merge flags to store on the scene
+ * @param {Object} [options]
+ * @param {boolean} [options.moveImages=false] - Turn the images into Tiles even if the size is kept
+ * @param {number} [options.sort] - Sort order for those Tiles
+ * @returns {Promise<{undo: Function}>} undo() deletes every document created since and
+ *   restores the scene's size, images, documents and flags
+ */
+async function prepareTargetScene(target, layout, width, height, flags, { moveImages = false, sort = -2000 } = {}) {
+  const previous = {
+    width: target.width,
+    height: target.height,
+    "background.src": target.background?.src ?? null,
+    foreground: target.foreground ?? null,
+  };
+  const previousFlags = foundry.utils.deepClone(target.flags?.["scene-stitcher"] ?? null);
+  const existingIds = new Map(EMBEDDED_TYPES.map((t) => [t.documentName, new Set(target[t.collection].map((d) => d.id))]));
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(target);
+  const sourceOrigin = getSceneOrigin(target);
+  const resized = width !== previous.width || height !== previous.height;
+
+  // Filled in as the steps run, so undo() only reverses what was done
+  const marked = new Map();
+  const shifted = [];
+  let shift = null;
+  const undo = async () => {
+    for (const type of EMBEDDED_TYPES) {
+      const known = existingIds.get(type.documentName);
+      const created = target[type.collection].filter((d) => !known.has(d.id)).map((d) => d.id);
+      // Internal, so the deletions are not recorded as copies deleted by the GM
+      if (created.length) await target.deleteEmbeddedDocuments(type.documentName, created, INTERNAL_OPTION);
+      const ids = marked.get(type.documentName);
+      if (ids?.length) {
+        const updates = ids.map((_id) => ({ _id, "flags.scene-stitcher.-=ownedByTarget": null }));
+        await target.updateEmbeddedDocuments(type.documentName, updates, INTERNAL_OPTION);
+      }
+    }
+    if (shifted.length) await shiftSceneDocuments(target, invertTransform(shift), { types: shifted });
+    if (!previousFlags) {
+      await target.update({ ...previous, "flags.-=scene-stitcher": null });
+      return;
+    }
+    // One update, so a debounced deletedCopies flush cannot land between removing the
+    // merge's flags and restoring the old ones; copies the GM deleted meanwhile stay recorded
+    const current = foundry.utils.deepClone(target.flags?.["scene-stitcher"] ?? {});
+    const restored = { ...previousFlags, deletedCopies: current.deletedCopies ?? previousFlags.deletedCopies ?? [] };
+    await target.update({ ...previous, "flags.scene-stitcher": getRestoreUpdate(current, restored) });
+  };
+
+  try {
+    await target.update({ width, height, "flags.scene-stitcher": flags });
+    await markTargetDocuments(target, marked);
+    shift = createSceneTransform({
+      offsetX: layout.x,
+      offsetY: layout.y,
+      width: sceneWidth,
+      height: sceneHeight,
+      gridSize: target.grid?.size ?? 100,
+      sourceOrigin,
+      targetOrigin: getSceneOrigin(target),
+    });
+    const moved = transformPoint(shift, 0, 0);
+    if (moved.x || moved.y) await shiftSceneDocuments(target, shift, { shifted });
+
+    if (resized || moveImages) {
+      const tiles = [
+        createBackgroundTileData(target, shift, sceneWidth, sceneHeight, sort),
+        createForegroundTileData(target, shift, sceneWidth, sceneHeight, sort),
+      ].filter(Boolean);
+      // They belong to the scene itself, not to a source, so re-syncs and write-back leave them alone
+      for (const tile of tiles) tile.flags["scene-stitcher"] = { ownedByTarget: true };
+      if (tiles.length) {
+        await target.update({ "background.src": null, foreground: null });
+        await target.createEmbeddedDocuments("Tile", tiles);
+      }
+    }
+  } catch (err) {
+    console.error("Scene Stitcher: Could not prepare the target scene", err);
+    await undo();
+    throw err;
+  }
+
+  return { undo };
+}
+
 /**
  * Main merge function.
  *
- * @param {Array<{sceneId: string, x: number, y: number, width: number, height: number}>} sceneLayouts
+ * @param {Array<{sceneId: string, x: number, y: number, width: number, height: number, scale?: number, flipX?: boolean, flipY?: boolean, crop?: Object|null}>} sceneLayouts
  *   Array of layout entries from the drag-and-drop canvas. x/y are in scene-pixel space.
- *   width/height are the source scene's pixel dimensions.
+ *   width/height are the source scene's pixel dimensions after `scale` (default 1) is
+ *   applied; a scale rescales the source, e.g. to a common grid size. `flipX`/`flipY`
+ *   mirror the source before it is rotated. `crop` is a rectangle in the source's
+ *   unmirrored scene-rect space (before scaling) that the source is cut to.
  * @param {Object} [options]
+ * @param {string} [options.targetSceneId] - Stitch the sources into this existing scene instead
+ *   of creating one. sceneLayouts must hold an entry for it, which stays unscaled and unturned;
+ *   its grid and scene settings are kept, and name, padding and sceneSettings are ignored
  * @param {string} [options.name] - Name for the merged scene
- * @returns {Promise<Scene>} The newly created merged Scene document
+ * @param {number} [options.padding=0] - Padding (fraction of scene size) for the merged scene
+ * @param {boolean} [options.flattenBackgrounds=false] - Bake static backgrounds into one image
+ * @param {'webp'|'png'} [options.flattenFormat='webp'] - Image format for the flattened background
+ * @param {Object|null} [options.seamCleanup] - Wall seam cleanup settings (see cleanupSeams()); omitted = off
+ * @param {Object} [options.filters] - Which embedded documents to copy (see matchesFilters()); omitted = all
+ * @param {'keep'|'clip'|'drop'} [options.overlap='keep'] - What happens to documents of lower layers
+ *   hidden under higher ones (see resolveOverlaps())
+ * @param {Object} [options.sceneSettings] - Per-field scene setting choices (see resolveSceneSettings());
+ *   fields without a choice use the first scene's value
+ * @param {'rollback'|'keep'} [options.onFailure='rollback'] - On failed documents, delete the partial
+ *   scene and throw (the error carries the report as `error.report`), or keep it with the report
+ *   stored in its `failureReport` flag
+ * @param {number} [options.chunkSize=200] - Documents per createEmbeddedDocuments() call
+ * @param {Function} [options.onProgress] - Called with a MergeProgress after every created chunk
+ * @param {AbortSignal} [options.signal] - Aborting cancels the merge between chunks; the
+ *   partial scene is always rolled back and the merge throws, whatever onFailure says
+ * @param {boolean} [options.dryRun=false] - Create, crop and upload nothing; return a plan instead.
+ *   The merged scene rect is padded as Foundry pads a square grid
+ * @param {boolean} [options.fog=false] - Combine each user's fog exploration of the sources
+ *   (see mergeFogExploration())
+ * @param {boolean} [options.journal=false] - Record the merge in a report JournalEntry
+ *   (see createMergeJournal())
+ * @returns {Promise<{mergedScene: Scene|null, warnings: string[], wallCleanup: Object|null, overlap: Object|null, report: MergeReport, plan?: MergePlan, fog?: Object|null, journal?: JournalEntry|null}>}
+ *   The new (or target) merged Scene, grid warnings, the seam cleanup report if cleanup ran,
+ *   the clipped and dropped counts if an overlap policy ran, the creation report, the number
+ *   of users whose fog was combined, and the report journal, if asked for. A dry run has no
+ *   scene and returns its plan
  */
 export async function mergeScenes(sceneLayouts, options = {}) {
+  // A target scene goes first, so its grid is the merged grid; it is placed as it is
+  const target = options.targetSceneId ? game.scenes.get(options.targetSceneId) : null;
+  if (options.targetSceneId) {
+    const entry = sceneLayouts.find((l) => l.sceneId === options.targetSceneId);
+    if (!target || !entry) throw new Error(`Could not find the target scene: ${options.targetSceneId}`);
+    const { sceneWidth, sceneHeight } = getScenePixelDimensions(target);
+    const fixed = { ...entry, width: sceneWidth, height: sceneHeight, rotation: 0, scale: 1, flipX: false, flipY: false, crop: null };
+    sceneLayouts = [fixed, ...sceneLayouts.filter((l) => l !== entry)];
+
+    const stitched = new Set((target.flags?.["scene-stitcher"]?.layouts ?? []).map((l) => l.sceneId));
+    const again = sceneLayouts.slice(1).filter((l) => stitched.has(l.sceneId));
+    if (again.length) {
+      const names = again.map((l) => game.scenes.get(l.sceneId)?.name ?? l.sceneId).join(", ");
+      throw new Error(`"${target.name}" already contains ${names}; re-sync it instead.`);
+    }
+  }
+
   // Resolve scene documents
   const scenes = sceneLayouts.map((l) => game.scenes.get(l.sceneId));
   const missing = sceneLayouts.filter((l, i) => !scenes[i]);
@@ -305,89 +1465,348 @@ export async function mergeScenes(sceneLayouts, options = {}) {
     throw new Error(`Could not find scenes: ${missing.map((l) => l.sceneId).join(", ")}`);
   }
 
-  // Compute normalised bounding box
-  const { normalisedLayouts, totalWidth, totalHeight } = computeBoundingBox(sceneLayouts);
-
   // Validate grids
-  const warnings = validateGridCompatibility(scenes);
+  const warnings = validateGridCompatibility(scenes, sceneLayouts.map((l) => l.scale ?? 1));
 
-  // Use the first scene's grid configuration for the merged scene
+  // Use the first scene's grid configuration (at its layout scale) for the merged scene
   const firstScene = scenes[0];
   const gridConfig = foundry.utils.deepClone(firstScene.grid ?? { size: 100, type: 1 });
+  gridConfig.size = Math.round((gridConfig.size ?? 100) * (sceneLayouts[0].scale ?? 1));
+
+  // Scene-level settings; grid distance and units join the grid configuration. A
+  // target scene keeps its own
+  const { grid: gridSettings, ...sceneSettings } = target ? {} : resolveSceneSettings(scenes, options.sceneSettings);
+  Object.assign(gridConfig, gridSettings);
+
+  // Hex grids only line up at lattice offsets, including the shift to (0, 0) below
+  const alignedLayouts = sceneLayouts.map((l) => ({ ...l }));
+  const hex = alignLayoutsToHexGrid(alignedLayouts, scenes, gridConfig);
+  warnings.push(...hex.warnings);
+
+  // Square grids only line up again after quarter turns (hex grids are reported above)
+  alignedLayouts.forEach((layout, i) => {
+    const rotation = layout.rotation ?? 0;
+    if (rotation % 90 === 0 || scenes[i].grid?.type !== CONST.GRID_TYPES.SQUARE) return;
+    warnings.push(`"${scenes[i].name}" is rotated by ${rotation}\u00B0, so its grid does not line up with the merged grid.`);
+  });
+
+  // A target on a square grid only grows up or left by whole grid spaces, so its
+  // documents stay on their squares
+  let snapOrigin = hex.lattice ? (x, y) => latticePointAtOrBefore(hex.lattice, x, y) : undefined;
+  if (target && gridConfig.type === CONST.GRID_TYPES.SQUARE) {
+    const { x: tx, y: ty } = alignedLayouts[0];
+    const size = gridConfig.size;
+    snapOrigin = (x, y) => ({
+      x: tx - Math.ceil(roundCoord(tx - x) / size) * size,
+      y: ty - Math.ceil(roundCoord(ty - y) / size) * size,
+    });
+  }
+
+  // Compute normalised bounding box
+  const { normalisedLayouts, totalWidth, totalHeight } = computeBoundingBox(alignedLayouts, snapOrigin);
+
+  warnings.push(...validateSquareGridAlignment(normalisedLayouts, scenes, gridConfig));
+
+  // From here on, the target is the merged scene rather than one of the sources
+  const targetLayout = target ? normalisedLayouts[0] : null;
+  const layouts = target ? normalisedLayouts.slice(1) : normalisedLayouts;
+  const sources = target ? scenes.slice(1) : scenes;
+
+  // Resolve default z-order now so it is stored with the layout
+  layouts.forEach((layout, i) => {
+    layout.zIndex = layout.zIndex ?? (-1000 + i);
+  });
+
+  // Trim the images of cropped sources up front, so the trimmed files are stored with the layout
+  for (let i = 0; i < layouts.length; i++) {
+    const layout = layouts[i];
+    if (layout.crop && !options.dryRun) layout.croppedImages = await cropSceneImages(sources[i], layout.crop, warnings);
+  }
 
   // Determine scene name
   const sceneName =
+    target?.name ||
     options.name ||
     game.i18n.localize("SCENE_STITCHER.MergeSceneName") ||
     "Merged Scene";
 
-  // Create the new scene (no background — tiles will serve as backgrounds)
-  // In Foundry v13, Scene width/height are in pixels directly
-  const mergedScene = await Scene.create({
-    name: sceneName,
-    width: Math.ceil(totalWidth),
-    height: Math.ceil(totalHeight),
-    padding: 0,
-    grid: gridConfig,
-    tokenVision: firstScene.tokenVision ?? true,
-    fogExploration: firstScene.fogExploration ?? true,
-    globalLight: firstScene.globalLight ?? false,
-    globalLightThreshold: firstScene.globalLightThreshold ?? null,
-    flags: {
-      "scene-stitcher": {
-        merged: true,
-        sourceScenes: sceneLayouts.map((l) => l.sceneId),
-        mergedAt: Date.now(),
-      },
-    },
-  });
+  // Foreground tiles are overhead when at or above the scene's foreground elevation
+  const foregroundScenes = scenes.filter((s) => s.foreground);
+  const foregroundElevation = foregroundScenes.length
+    ? Math.min(...foregroundScenes.map(getForegroundElevation))
+    : firstScene.foregroundElevation;
 
-  // Collect all background tiles and embedded documents
-  const allBackgroundTiles = [];
-  const allEmbedded = {}; // documentName -> data[]
+  // Sources already stitched into a target stay in its flags, moved with its documents
+  const previous = target?.flags?.["scene-stitcher"] ?? {};
+  const previousLayouts = (previous.layouts ?? []).map((l) => ({ ...l, x: l.x + targetLayout.x, y: l.y + targetLayout.y }));
+  const flags = {
+    merged: true,
+    sourceScenes: [...(previous.sourceScenes ?? []), ...sources.map((s) => s.id)],
+    // Offsets, sizes, z-order and rotation per source, used to re-sync later
+    layouts: [
+      ...previousLayouts,
+      ...layouts.map((l) => ({
+        sceneId: l.sceneId,
+        x: l.x,
+        y: l.y,
+        width: l.width,
+        height: l.height,
+        zIndex: l.zIndex,
+        rotation: l.rotation ?? 0,
+        scale: l.scale ?? 1,
+        flipX: !!l.flipX,
+        flipY: !!l.flipY,
+        crop: l.crop ?? null,
+        croppedImages: l.croppedImages ?? null,
+      })),
+    ],
+    flattened: !!(options.flattenBackgrounds || previous.flattened),
+    // Re-applied on re-sync so cleaned seams stay cleaned
+    seamCleanup: options.seamCleanup ?? null,
+    // Re-applied on re-sync so filtered-out documents are not brought back
+    filters: options.filters ?? {},
+    overlap: options.overlap ?? "keep",
+    mergedAt: Date.now(),
+  };
 
-  for (let i = 0; i < normalisedLayouts.length; i++) {
-    const layout = normalisedLayouts[i];
-    const scene = scenes[i];
-    const offsetX = layout.x;
-    const offsetY = layout.y;
+  // Create the new scene (no background — tiles will serve as backgrounds), or make
+  // room in the target. In Foundry v13, Scene width/height are in pixels directly
+  let mergedScene = null;
+  let targetChange = null;
+  if (options.dryRun) {
+    // Nothing is created; the scene rect is placed below
+  } else if (target) {
+    mergedScene = target;
+    const sorts = [...target.tiles.map((t) => t.sort ?? 0), ...layouts.map((l) => l.zIndex)];
+    targetChange = await prepareTargetScene(target, targetLayout, Math.ceil(totalWidth), Math.ceil(totalHeight), flags, {
+      // A flattened image becomes the scene background, so the target's own has to move
+      moveImages: !!options.flattenBackgrounds,
+      sort: Math.min(-1000, ...sorts) - 1,
+    });
+  } else {
+    mergedScene = await Scene.create({
+      name: sceneName,
+      width: Math.ceil(totalWidth),
+      height: Math.ceil(totalHeight),
+      padding: options.padding ?? 0,
+      grid: gridConfig,
+      ...sceneSettings,
+      foregroundElevation,
+      flags: { "scene-stitcher": flags },
+    });
+  }
 
-    // Background tile — use layout dimensions and optional z-order / rotation
-    const zIndex = layout.zIndex ?? (-1000 + i);
-    const rotation = layout.rotation ?? 0;
-    const bgTile = createBackgroundTileData(scene, offsetX, offsetY, layout.width, layout.height, zIndex, rotation);
-    if (bgTile) {
-      allBackgroundTiles.push(bgTile);
+  // Documents are re-anchored to the merged scene's own padded origin
+  const targetOrigin = mergedScene
+    ? getSceneOrigin(mergedScene)
+    : getPaddedOrigin(Math.ceil(totalWidth), Math.ceil(totalHeight), target?.padding ?? options.padding ?? 0, gridConfig.size);
+  if (hex.lattice) {
+    const anchor = nearestLatticePoint(hex.lattice, targetOrigin.x, targetOrigin.y);
+    if (Math.hypot(anchor.x - targetOrigin.x, anchor.y - targetOrigin.y) > 0.5) {
+      warnings.push("The merged scene's padding does not fall on a whole hex; set its padding to 0 to keep the sources aligned with the grid.");
+    }
+  }
+
+  // Everything from here on is tracked, so a failure can be rolled back or reported
+  const report = { created: {}, failures: [], unresolved: [], rolledBack: false };
+  let wallCleanup = null;
+  let overlap = null;
+  try {
+    // Collect all background tiles and embedded documents
+    const allBackgroundTiles = [];
+    const allForegroundTiles = [];
+    const allEmbedded = {}; // documentName -> data[]
+    const footprints = [];
+
+    for (let i = 0; i < layouts.length; i++) {
+      const layout = layouts[i];
+      const scene = sources[i];
+
+      // Source coordinates are normalised to scene-rect space, then moved and rotated
+      // around the scene centre so the background and documents stay together
+      const transform = createLayoutTransform(scene, layout, targetOrigin);
+      footprints.push({ sceneId: scene.id, zIndex: layout.zIndex ?? 0, points: getLayoutFootprint(transform, layout.crop) });
+
+      // Background tile — use layout dimensions and optional z-order / rotation
+      const bgTile = createBackgroundTileData(
+        scene, transform, layout.width, layout.height, layout.zIndex, getImageCrop(layout, "background")
+      );
+      if (bgTile) {
+        allBackgroundTiles.push(bgTile);
+      }
+
+      // Foreground image as an overhead tile, placed exactly over the background
+      const fgTile = createForegroundTileData(
+        scene, transform, layout.width, layout.height, layout.zIndex, getImageCrop(layout, "foreground")
+      );
+      if (fgTile) {
+        allForegroundTiles.push(fgTile);
+      }
+
+      // All other embedded documents
+      const embedded = collectEmbeddedDocuments(scene, transform, options.filters, layout.crop);
+      for (const [docName, docs] of Object.entries(embedded)) {
+        allEmbedded[docName] = allEmbedded[docName] ?? [];
+        allEmbedded[docName].push(...docs);
+      }
     }
 
-    // All other embedded documents
-    const embedded = collectEmbeddedDocuments(scene, offsetX, offsetY);
-    for (const [docName, docs] of Object.entries(embedded)) {
-      allEmbedded[docName] = allEmbedded[docName] ?? [];
-      allEmbedded[docName].push(...docs);
+    // Pieces of a split video background all reference the whole file; keep one copy
+    if (allEmbedded.Tile) {
+      allEmbedded.Tile = dedupeSplitBackgrounds(allEmbedded.Tile);
     }
+
+    // Clip or drop what lower layers hide under higher ones
+    if (options.overlap && options.overlap !== "keep") {
+      overlap = resolveOverlaps(allEmbedded, footprints, options.overlap, EMBEDDED_TYPES, gridConfig.size);
+    }
+
+    // Weld and deduplicate the walls each source brought to the seams
+    if (options.seamCleanup && allEmbedded.Wall?.length) {
+      const cleaned = cleanupSeams(allEmbedded.Wall, footprints, options.seamCleanup);
+      allEmbedded.Wall = cleaned.walls;
+      wallCleanup = cleaned.report;
+    }
+
+    // Point region behaviors (teleport destinations...) at the copied regions. A dry
+    // run has no scene yet, so its copies get UUIDs under a stand-in ID
+    if (allEmbedded.Region?.length) {
+      const regionUuids = assignRegionIds(allEmbedded.Region, mergedScene?.id ?? target?.id ?? "new");
+      const stitched = new Set(sources.map((s) => s.id));
+      report.unresolved = remapRegionReferences(allEmbedded.Region, regionUuids, stitched);
+    }
+    if (report.unresolved.length) {
+      console.warn("Scene Stitcher: Unresolved region behavior references", report.unresolved);
+      warnings.push(
+        `${report.unresolved.length} region behavior reference(s) point at stitched scene documents that were not copied; they still point at the source scenes. See the console for details.`
+      );
+    }
+
+    // A dry run stops before anything is uploaded or created
+    if (options.dryRun) {
+      const plan = await buildMergePlan({
+        sources,
+        footprints,
+        tiles: [...allBackgroundTiles, ...allForegroundTiles],
+        embedded: allEmbedded,
+        rect: { ...targetOrigin, width: Math.ceil(totalWidth), height: Math.ceil(totalHeight) },
+        gridSize: gridConfig.size,
+        types: EMBEDDED_TYPES,
+      });
+      return { mergedScene: null, warnings, wallCleanup, overlap, report, plan };
+    }
+
+    // Optionally bake the static backgrounds into a single image (or chunk tiles)
+    if (options.flattenBackgrounds && allBackgroundTiles.length > 0) {
+      const flattened = await flattenBackgrounds(allBackgroundTiles, {
+        origin: targetOrigin,
+        width: Math.ceil(totalWidth),
+        height: Math.ceil(totalHeight),
+        name: sceneName,
+        format: options.flattenFormat,
+      });
+      warnings.push(...flattened.warnings);
+      if (flattened.src) {
+        await mergedScene.update({ "background.src": flattened.src });
+      }
+      allBackgroundTiles.splice(0, allBackgroundTiles.length, ...flattened.tiles, ...flattened.remaining);
+    }
+
+    // Create background tiles first (they go underneath everything), then the overhead
+    // foregrounds, then all other embedded documents in chunked batches by type
+    const batches = [["Tile", allBackgroundTiles], ["Tile", allForegroundTiles], ...Object.entries(allEmbedded)];
+    const tx = {
+      report,
+      progress: createProgressTracker(batches, sources, options.onProgress),
+      chunkSize: Math.max(1, Math.floor(options.chunkSize ?? DEFAULT_CHUNK_SIZE)),
+      signal: options.signal,
+    };
+    for (const [docName, docs] of batches) {
+      await createTracked(mergedScene, docName, docs, tx);
+    }
+  } catch (err) {
+    if (options.dryRun) throw err;
+    console.error("Scene Stitcher: Merge step failed", err);
+    report.failures.push(describeFailure(null, {}, err));
   }
 
-  // Create background tiles first (they go underneath everything)
-  if (allBackgroundTiles.length > 0) {
-    await mergedScene.createEmbeddedDocuments("Tile", allBackgroundTiles);
+  if (report.failures.length) {
+    console.warn("Scene Stitcher: Documents that could not be created", report.failures);
+    // A cancelled merge is never kept, so it cannot pass for a finished one
+    if (options.onFailure === "keep" && !options.signal?.aborted) {
+      await mergedScene.setFlag("scene-stitcher", "failureReport", report);
+      warnings.push(
+        `${report.failures.length} document(s) could not be created; the report is stored on the scene. ${summariseFailures(report)}`
+      );
+    } else {
+      // Uploaded flattened images stay in the data folder; only the scene is removed,
+      // or for a target, put back the way it was
+      if (targetChange) await targetChange.undo();
+      else await mergedScene.delete();
+      report.rolledBack = true;
+      const error = new Error(`The merge was rolled back. ${summariseFailures(report)}`);
+      error.report = report;
+      throw error;
+    }
   }
 
-  // Create all other embedded documents in batches by type
-  for (const [docName, docs] of Object.entries(allEmbedded)) {
-    if (docs.length > 0) {
-      try {
-        await mergedScene.createEmbeddedDocuments(docName, docs);
-      } catch (err) {
-        console.error(`Scene Stitcher: Error creating ${docName} documents:`, err);
-        ui.notifications.warn(
-          `Scene Stitcher: Some ${docName} documents could not be created. Check the console for details.`
-        );
+  // Explored fog follows the documents; like the journal below, failing to combine it
+  // does not undo the merge
+  let fog = null;
+  if (options.fog) {
+    try {
+      const layers = layouts.map((layout, i) => {
+        const transform = createLayoutTransform(sources[i], layout, targetOrigin);
+        return {
+          sceneId: sources[i].id,
+          name: sources[i].name,
+          frame: getFogFrame(transform),
+          footprint: getLayoutFootprint(transform, layout.crop),
+        };
+      });
+      // The target's own fog covered its old scene rect, which is where it was placed
+      if (target) {
+        const transform = createSceneTransform({
+          offsetX: targetLayout.x,
+          offsetY: targetLayout.y,
+          width: targetLayout.width,
+          height: targetLayout.height,
+          targetOrigin,
+        });
+        layers.unshift({ sceneId: target.id, name: target.name, frame: getFogFrame(transform), footprint: getLayoutFootprint(transform) });
       }
+      const rect = { ...targetOrigin, width: Math.ceil(totalWidth), height: Math.ceil(totalHeight) };
+      const merged = await mergeFogExploration(mergedScene, layers, rect);
+      warnings.push(...merged.warnings);
+      fog = { users: merged.users };
+    } catch (err) {
+      console.error("Scene Stitcher: Could not merge the explored fog", err);
+      warnings.push(`Could not merge the explored fog: ${err.message}`);
+    }
+  }
+
+  // The report journal is a record only; failing to write it does not undo the merge
+  let journal = null;
+  if (options.journal) {
+    try {
+      journal = await createMergeJournal(mergedScene, {
+        sources,
+        layouts: flags.layouts.slice(previousLayouts.length),
+        options,
+        grid: gridConfig,
+        warnings,
+        report,
+        wallCleanup,
+        overlap,
+        types: EMBEDDED_TYPES,
+      });
+    } catch (err) {
+      console.error("Scene Stitcher: Could not create the merge report journal", err);
+      warnings.push(`Could not create the merge report journal: ${err.message}`);
     }
   }
 
-  return { mergedScene, warnings };
+  return { mergedScene, warnings, wallCleanup, overlap, report, fog, journal };
 }
 
 /**
@@ -403,11 +1822,33 @@ export function getSceneInfo(scene) {
     name: scene.name,
     thumbnail: scene.thumb,
     backgroundSrc: scene.background?.src ?? null,
+    foregroundSrc: scene.foreground ?? null,
     width: dims.sceneWidth,
     height: dims.sceneHeight,
     gridSize: scene.grid?.size ?? 100,
     gridType: scene.grid?.type ?? 1,
+    origin: getSceneOrigin(scene),
+    splitFrom: scene.flags?.["scene-stitcher"]?.splitFrom ?? null,
+    splitRect: scene.flags?.["scene-stitcher"]?.splitRect ?? null,
   };
 }
 
-export { computeBoundingBox, validateGridCompatibility, getScenePixelDimensions };
+export {
+  EMBEDDED_TYPES,
+  computeBoundingBox,
+  validateGridCompatibility,
+  validateSquareGridAlignment,
+  getScenePixelDimensions,
+  getSceneOrigin,
+  createSceneTransform,
+  createLayoutTransform,
+  getLayoutFootprint,
+  invertTransform,
+  collectEmbeddedDocuments,
+  createBackgroundTileData,
+  createForegroundTileData,
+  getImageCrop,
+  getSceneImageFrame,
+  splitBackgroundKey,
+  transformPoint,
+};
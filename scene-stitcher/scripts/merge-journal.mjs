@@ -0,0 +1,213 @@
+/**
+ * Scene Stitcher — Merge Report Journal
+ *
+ * Optionally records how a merged scene was put together in a JournalEntry, so
+ * another GM can follow (or redo) a merge long after it ran:
+ *   - The merged scene, the module and core versions, and when it was merged
+ *   - The source scenes, linked, with the offset, size, rotation, scale, mirroring,
+ *     layer and crop each was placed with
+ *   - The merge options (grid, flattening, overlap policy, seam cleanup, filters, fog)
+ *   - Documents per type: in the sources, filtered out and created
+ *   - Anything else left out: documents dropped under overlaps, walls removed by the
+ *     seam cleanup, failed documents, unresolved region references, and the warnings
+ *   - The layout and options as JSON, ready to pass to mergeScenes() again
+ *
+ * The report is a text page. Merging into a target scene that already has a report
+ * journal adds a page to it, so the journal keeps the history of the scene.
+ */
+
+import { countFilteredDocuments } from "./document-filters.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Labels of the overlap policies, as in the merge options */
+const OVERLAP_LABELS = {
+  keep: "SCENE_STITCHER.OverlapKeep",
+  clip: "SCENE_STITCHER.OverlapClip",
+  drop: "SCENE_STITCHER.OverlapDrop",
+};
+
+/** Merge options left out of the journal: callbacks, signals and per-merge choices */
+const SKIPPED_OPTIONS = ["onProgress", "signal", "journal", "dryRun"];
+
+/**
+ * Create (or extend) the report journal of a merge.
+ *
+ * @param {Scene} mergedScene - The new or target scene
+ * @param {Object} params
+ * @param {Scene[]} params.sources - Source scenes stitched by this merge, in layout order
+ * @param {Object[]} params.layouts - Their normalised layouts, as stored in the scene flags
+ * @param {Object} params.options - The options passed to mergeScenes()
+ * @param {Object} params.grid - Grid configuration of the merged scene
+ * @param {string[]} params.warnings
+ * @param {MergeReport} params.report
+ * @param {Object|null} params.wallCleanup - Seam cleanup report, if it ran
+ * @param {Object|null} params.overlap - Clipped and dropped counts, if an overlap policy ran
+ * @param {Object[]} params.types - EMBEDDED_TYPES
+ * @returns {Promise<JournalEntry>}
+ */
+export async function createMergeJournal(mergedScene, params) {
+  const mergedAt = new Date();
+  const page = {
+    name: t("PageName").replace("{date}", mergedAt.toLocaleString()),
+    type: "text",
+    text: { content: renderReport(mergedScene, params, mergedAt) },
+    flags: { [MODULE_ID]: { mergedAt: mergedAt.getTime() } },
+  };
+
+  // A target keeps one journal for all the merges into it
+  const existing = game.journal.get(mergedScene.flags?.[MODULE_ID]?.reportJournal);
+  if (existing) {
+    await existing.createEmbeddedDocuments("JournalEntryPage", [{ ...page, sort: getNextSort(existing) }]);
+    return existing;
+  }
+
+  const journal = await JournalEntry.create({
+    name: t("Name").replace("{name}", mergedScene.name),
+    pages: [page],
+    flags: { [MODULE_ID]: { mergeReport: true, sceneId: mergedScene.id } },
+  });
+  await mergedScene.setFlag(MODULE_ID, "reportJournal", journal.id);
+  return journal;
+}
+
+/**
+ * Localise a journal string.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function t(key) {
+  return game.i18n.localize(`SCENE_STITCHER.Journal${key}`);
+}
+
+/**
+ * Sort value that puts a new page after the existing ones.
+ *
+ * @param {JournalEntry} journal
+ * @returns {number}
+ */
+function getNextSort(journal) {
+  const sorts = journal.pages.map((p) => p.sort ?? 0);
+  return (sorts.length ? Math.max(...sorts) : 0) + CONST.SORT_INTEGER_DENSITY;
+}
+
+/**
+ * Render the report page.
+ *
+ * @param {Scene} mergedScene
+ * @param {Object} params - See createMergeJournal()
+ * @param {Date} mergedAt
+ * @returns {string} HTML
+ */
+function renderReport(mergedScene, { sources, layouts, options, grid, warnings, report, wallCleanup, overlap, types }, mergedAt) {
+  const escape = foundry.utils.escapeHTML;
+  const link = (doc) => `@UUID[${doc.uuid}]{${escape(doc.name)}}`;
+  const list = (items) => (items.length ? `<ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>` : `<p>${t("None")}</p>`);
+  const typeLabel = (type) => game.i18n.localize(CONFIG[type]?.documentClass?.metadata?.labelPlural ?? type);
+  const yesNo = (value) => t(value ? "Yes" : "No");
+
+  const summary = [
+    [t("Scene"), link(mergedScene)],
+    [t("MergedAt"), escape(mergedAt.toLocaleString())],
+    [t("Mode"), t(options.targetSceneId ? "ModeTarget" : "ModeNew")],
+    [t("ModuleVersion"), escape(game.modules.get(MODULE_ID)?.version ?? "?")],
+    [t("CoreVersion"), escape(game.version ?? "?")],
+  ];
+
+  // One row per source, as placed in the merged scene's layout space
+  const sourceRows = layouts.map((layout, i) => {
+    const scene = sources[i];
+    const crop = layout.crop ? `${layout.crop.x}, ${layout.crop.y}, ${layout.crop.width} x ${layout.crop.height}` : "&mdash;";
+    const mirror = [layout.flipX && t("MirrorX"), layout.flipY && t("MirrorY")].filter(Boolean).join(", ") || "&mdash;";
+    return `<tr>
+        <td>${link(scene)}</td>
+        <td>${round(layout.x)}, ${round(layout.y)}</td>
+        <td>${round(layout.width)} x ${round(layout.height)}</td>
+        <td>${round(layout.rotation ?? 0)}&deg;</td>
+        <td>${round((layout.scale ?? 1) * 100)}%</td>
+        <td>${mirror}</td>
+        <td>${layout.zIndex ?? 0}</td>
+        <td>${crop}</td>
+      </tr>`;
+  });
+  const sourceTable = `<table>
+      <thead><tr>${["Source", "Offset", "Size", "Rotation", "Scale", "Mirror", "Layer", "Crop"].map((h) => `<th>${t(h)}</th>`).join("")}</tr></thead>
+      <tbody>${sourceRows.join("")}</tbody>
+    </table>`;
+
+  const seams = options.seamCleanup
+    ? t("SeamCleanupValue")
+      .replace("{tolerance}", options.seamCleanup.weldTolerance ?? 0)
+      .replace("{seams}", yesNo(options.seamCleanup.removeSeamWalls))
+    : yesNo(false);
+  const settings = [
+    [t("Grid"), `${grid.size} px (${escape(String(grid.distance ?? ""))} ${escape(grid.units ?? "")})`],
+    [t("Padding"), options.targetSceneId ? "&mdash;" : `${options.padding ?? 0}`],
+    [t("Flattened"), options.flattenBackgrounds ? `${yesNo(true)} (${escape(options.flattenFormat ?? "webp")})` : yesNo(false)],
+    [t("OverlapPolicy"), game.i18n.localize(OVERLAP_LABELS[options.overlap ?? "keep"] ?? options.overlap)],
+    [t("SeamCleanup"), seams],
+    [t("Fog"), yesNo(options.fog)],
+    [t("Filters"), foundry.utils.isEmpty(options.filters ?? {}) ? t("None") : `<code>${escape(JSON.stringify(options.filters))}</code>`],
+  ];
+
+  // Documents per type: in the sources, left out by the filters, and created
+  const counts = countFilteredDocuments(sources, types, options.filters);
+  const documentRows = types
+    .filter((type) => counts[type.documentName].total || report.created[type.documentName])
+    .map(({ documentName }) => {
+      const { total, included } = counts[documentName];
+      return `<tr><td>${typeLabel(documentName)}</td><td>${total}</td><td>${total - included}</td><td>${report.created[documentName] ?? 0}</td></tr>`;
+    });
+  const documentTable = `<table>
+      <thead><tr>${["Type", "InSources", "FilteredOut", "Created"].map((h) => `<th>${t(h)}</th>`).join("")}</tr></thead>
+      <tbody>${documentRows.join("")}</tbody>
+    </table>
+    <p>${t("TilesHint")}</p>`;
+
+  const skipped = [];
+  if (overlap) {
+    skipped.push(t("SkippedOverlap").replace("{clipped}", overlap.clipped).replace("{dropped}", overlap.dropped));
+  }
+  if (wallCleanup) {
+    skipped.push(t("SkippedSeams")
+      .replace("{welded}", wallCleanup.welded)
+      .replace("{duplicates}", wallCleanup.duplicatesRemoved)
+      .replace("{seams}", wallCleanup.seamWallsRemoved));
+  }
+  for (const failure of report.failures) {
+    skipped.push(t("SkippedFailure")
+      .replace("{type}", escape(failure.documentName ?? "?"))
+      .replace("{source}", escape(failure.sourceSceneName ?? "?"))
+      .replace("{error}", escape(failure.error ?? "")));
+  }
+  for (const ref of report.unresolved) {
+    skipped.push(t("SkippedReference")
+      .replace("{region}", escape(ref.region ?? "?"))
+      .replace("{behavior}", escape(ref.behavior ?? "?"))
+      .replace("{reference}", `<code>${escape(ref.reference)}</code>`));
+  }
+
+  // Enough to run the same merge again from a macro
+  const replayOptions = Object.fromEntries(Object.entries(options).filter(([key]) => !SKIPPED_OPTIONS.includes(key)));
+  const replay = JSON.stringify({ layouts, options: replayOptions }, null, 2);
+
+  const rows = (entries) => `<table><tbody>${entries.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join("")}</tbody></table>`;
+  return `<h2>${t("Summary")}</h2>${rows(summary)}
+    <h2>${t("Sources")}</h2>${sourceTable}
+    <h2>${t("Options")}</h2>${rows(settings)}
+    <h2>${t("Documents")}</h2>${documentTable}
+    <h2>${t("Skipped")}</h2>${list(skipped)}
+    <h2>${t("Warnings")}</h2>${list(warnings.map(escape))}
+    <h2>${t("Replay")}</h2><p>${t("ReplayHint")}</p><pre><code>${escape(replay)}</code></pre>`;
+}
+
+/**
+ * Round to two decimals for display.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
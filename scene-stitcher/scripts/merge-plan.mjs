@@ -0,0 +1,140 @@
+/**
+ * Scene Stitcher — Merge Plan
+ *
+ * A dry run of mergeScenes() collects and transforms everything a merge would
+ * create, then stops before anything is uploaded or written. This module turns that
+ * data into a report the GM can check before merging:
+ *   - The merged scene's dimensions
+ *   - Document counts per source and per type
+ *   - Areas where sources overlap
+ *   - Documents that end up outside the merged scene rect
+ *   - Background and foreground files that cannot be found
+ *   - Flags of other modules, which are copied as they are: coordinates kept in
+ *     them do not move with the document
+ *
+ * Grid warnings are gathered by the merge engine as usual and returned alongside.
+ */
+
+import { clipPolygonToConvexPolygon, polygonArea, rectContainsPoint } from "./geometry.mjs";
+import { fileExists } from "./image-utils.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Flag scopes that never hold coordinates of their own */
+const KNOWN_SCOPES = new Set([MODULE_ID, "core"]);
+
+/**
+ * @typedef {Object} MergePlan
+ * @property {{width: number, height: number, gridSize: number}} dimensions - Scene rect in pixels
+ * @property {Array<{sceneId: string, name: string, counts: Object<string, number>}>} sources - Documents
+ *   to create per source, keyed by documentName (generated background and foreground Tiles included)
+ * @property {Object<string, number>} totals - Documents to create per documentName
+ * @property {Array<{lower: string, upper: string, area: number}>} overlaps - Source names and the
+ *   overlapping area in grid spaces
+ * @property {Array<{documentName: string, sourceSceneName: string, sourceDocumentId: string, x: number, y: number}>} outOfBounds
+ * @property {Array<{sceneName: string, image: 'background'|'foreground', src: string}>} missingFiles
+ * @property {Array<{scope: string, title: string, documents: number, types: string[]}>} foreignFlags
+ */
+
+/**
+ * Build the report of a dry run.
+ *
+ * @param {Object} params
+ * @param {Scene[]} params.sources - Source scenes, in layout order
+ * @param {Array<{sceneId: string, zIndex: number, points: number[]}>} params.footprints - In layout order
+ * @param {Object[]} params.tiles - Generated background and foreground Tile data
+ * @param {Object<string, Object[]>} params.embedded - documentName -> data in merged scene space
+ * @param {{x: number, y: number, width: number, height: number}} params.rect - Merged scene rect
+ * @param {number} params.gridSize
+ * @param {Object[]} params.types - EMBEDDED_TYPES
+ * @returns {Promise<MergePlan>}
+ */
+export async function buildMergePlan({ sources, footprints, tiles, embedded, rect, gridSize, types }) {
+  const plan = {
+    dimensions: { width: rect.width, height: rect.height, gridSize },
+    sources: sources.map((s) => ({ sceneId: s.id, name: s.name, counts: {} })),
+    totals: {},
+    overlaps: getOverlaps(sources, footprints, gridSize),
+    outOfBounds: [],
+    missingFiles: await getMissingFiles(sources),
+    foreignFlags: [],
+  };
+
+  const bySource = new Map(plan.sources.map((entry) => [entry.sceneId, entry]));
+  const count = (documentName, data) => {
+    plan.totals[documentName] = (plan.totals[documentName] ?? 0) + 1;
+    const entry = bySource.get(data.flags?.[MODULE_ID]?.sourceSceneId);
+    if (entry) entry.counts[documentName] = (entry.counts[documentName] ?? 0) + 1;
+  };
+  for (const data of tiles) count("Tile", data);
+
+  const scopes = new Map();
+  for (const type of types) {
+    for (const data of embedded[type.documentName] ?? []) {
+      count(type.documentName, data);
+
+      const anchor = type.anchorFn(data, gridSize);
+      if (!rectContainsPoint(rect, anchor.x, anchor.y)) {
+        const flags = data.flags[MODULE_ID];
+        plan.outOfBounds.push({
+          documentName: type.documentName,
+          sourceSceneName: flags.sourceSceneName,
+          sourceDocumentId: flags.sourceDocumentId,
+          x: Math.round(anchor.x),
+          y: Math.round(anchor.y),
+        });
+      }
+
+      for (const scope of Object.keys(data.flags ?? {})) {
+        if (KNOWN_SCOPES.has(scope)) continue;
+        const entry = scopes.get(scope) ?? { scope, title: game.modules.get(scope)?.title ?? scope, documents: 0, types: new Set() };
+        entry.documents++;
+        entry.types.add(type.documentName);
+        scopes.set(scope, entry);
+      }
+    }
+  }
+  plan.foreignFlags = [...scopes.values()].map((entry) => ({ ...entry, types: [...entry.types] }));
+  return plan;
+}
+
+/**
+ * Overlapping areas between every two sources, the lower one first.
+ *
+ * @param {Scene[]} sources
+ * @param {Array<{sceneId: string, zIndex: number, points: number[]}>} footprints
+ * @param {number} gridSize
+ * @returns {Array<{lower: string, upper: string, area: number}>}
+ */
+function getOverlaps(sources, footprints, gridSize) {
+  const names = new Map(sources.map((s) => [s.id, s.name]));
+  const overlaps = [];
+  for (let i = 0; i < footprints.length; i++) {
+    for (let j = i + 1; j < footprints.length; j++) {
+      const area = polygonArea(clipPolygonToConvexPolygon(footprints[i].points, footprints[j].points)) / gridSize ** 2;
+      if (area < 0.01) continue;
+      // Of two sources on the same layer, the later one is on top
+      const [lower, upper] = (footprints[j].zIndex ?? 0) >= (footprints[i].zIndex ?? 0)
+        ? [footprints[i], footprints[j]]
+        : [footprints[j], footprints[i]];
+      overlaps.push({ lower: names.get(lower.sceneId), upper: names.get(upper.sceneId), area: Math.round(area * 100) / 100 });
+    }
+  }
+  return overlaps;
+}
+
+/**
+ * Background and foreground files of the sources that cannot be fetched.
+ *
+ * @param {Scene[]} sources
+ * @returns {Promise<Array<{sceneName: string, image: 'background'|'foreground', src: string}>>}
+ */
+async function getMissingFiles(sources) {
+  const missing = [];
+  for (const scene of sources) {
+    for (const [image, src] of [["background", scene.background?.src], ["foreground", scene.foreground]]) {
+      if (src && !(await fileExists(src))) missing.push({ sceneName: scene.name, image, src });
+    }
+  }
+  return missing;
+}
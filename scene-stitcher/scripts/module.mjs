@@ -4,9 +4,27 @@
  * Registers the module with Foundry VTT v13:
  *   - Adds a toolbar button to the Scene controls
  *   - Opens the SceneStitcherApp when clicked
+ *   - Adds merged-scene commands to the Scene directory context menu: re-sync,
+ *     write-back, and rewriting links to the sources (with a preview and undo)
  */
 
 import { SceneStitcherApp } from "./SceneStitcherApp.mjs";
+import {
+  applyLinkRewrite,
+  canUndoLinkRewrite,
+  countLinkRewriteDocuments,
+  planLinkRewrite,
+  undoLinkRewrite,
+} from "./link-rewrite.mjs";
+import { EMBEDDED_TYPES } from "./merge-engine.mjs";
+import {
+  applyWriteBack,
+  canSyncMergedScene,
+  isMergedScene,
+  planWriteBack,
+  recordDeletedCopy,
+  resyncMergedScene,
+} from "./sync-engine.mjs";
 
 const MODULE_ID = "scene-stitcher";
 
@@ -22,6 +40,11 @@ let appInstance = null;
  */
 Hooks.once("init", () => {
   console.log(`${MODULE_ID} | Initialising Scene Stitcher`);
+
+  // Track copies deleted from merged scenes so write-back can delete their sources
+  for (const type of EMBEDDED_TYPES) {
+    Hooks.on(`delete${type.documentName}`, recordDeletedCopy);
+  }
 });
 
 /**
@@ -60,3 +83,266 @@ Hooks.on("getSceneControlButtons", (controls) => {
     },
   };
 });
+
+/**
+ * Add merged-scene commands to the Scene directory context menu.
+ *
+ * Foundry v13 passes the directory element for each entry as an HTMLElement.
+ */
+Hooks.on("getSceneContextOptions", (application, menuItems) => {
+  const getScene = (li) => game.scenes.get(li.dataset.entryId ?? li.dataset.documentId);
+
+  menuItems.push({
+    name: "SCENE_STITCHER.ResyncMenu",
+    icon: '<i class="fas fa-sync"></i>',
+    condition: (li) => game.user.isGM && canSyncMergedScene(getScene(li)),
+    callback: (li) => onResync(getScene(li)),
+  });
+
+  menuItems.push({
+    name: "SCENE_STITCHER.WriteBackMenu",
+    icon: '<i class="fas fa-file-export"></i>',
+    condition: (li) => game.user.isGM && canSyncMergedScene(getScene(li)),
+    callback: (li) => onWriteBack(getScene(li)),
+  });
+
+  menuItems.push({
+    name: "SCENE_STITCHER.RewriteLinksMenu",
+    icon: '<i class="fas fa-link"></i>',
+    condition: (li) => game.user.isGM && isMergedScene(getScene(li)),
+    callback: (li) => onRewriteLinks(getScene(li)),
+  });
+
+  menuItems.push({
+    name: "SCENE_STITCHER.UndoRewriteLinksMenu",
+    icon: '<i class="fas fa-link-slash"></i>',
+    condition: (li) => game.user.isGM && canUndoLinkRewrite(getScene(li)),
+    callback: (li) => onUndoRewriteLinks(getScene(li)),
+  });
+});
+
+/* -------------------------------------------------------------------------- */
+/*  Merged scene commands                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Confirm and re-sync a merged scene from its source scenes.
+ *
+ * @param {Scene} scene
+ */
+async function onResync(scene) {
+  if (!scene) return;
+
+  const confirmContent = game.i18n
+    .localize("SCENE_STITCHER.ResyncConfirmContent")
+    .replace("{name}", foundry.utils.escapeHTML(scene.name));
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize("SCENE_STITCHER.ResyncConfirmTitle"),
+      icon: "fas fa-sync",
+    },
+    content: `<p>${confirmContent}</p>`,
+  });
+  if (!confirmed) return;
+
+  try {
+    const { created, updated, deleted, missingSources } = await resyncMergedScene(scene);
+
+    for (const sceneId of missingSources) {
+      ui.notifications.warn(
+        game.i18n.localize("SCENE_STITCHER.ResyncMissingSource").replace("{id}", sceneId)
+      );
+    }
+
+    const successMsg = game.i18n
+      .localize("SCENE_STITCHER.ResyncSuccess")
+      .replace("{name}", scene.name)
+      .replace("{created}", created)
+      .replace("{updated}", updated)
+      .replace("{deleted}", deleted);
+    ui.notifications.info(successMsg);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Re-sync failed`, err);
+    const errorMsg = game.i18n
+      .localize("SCENE_STITCHER.ResyncError")
+      .replace("{error}", err.message);
+    ui.notifications.error(errorMsg);
+  }
+}
+
+/**
+ * Show a per-source summary of the write-back plan, then apply it on confirmation.
+ *
+ * @param {Scene} scene
+ */
+async function onWriteBack(scene) {
+  if (!scene) return;
+
+  let plan;
+  try {
+    plan = planWriteBack(scene);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Write-back planning failed`, err);
+    ui.notifications.error(
+      game.i18n.localize("SCENE_STITCHER.WriteBackError").replace("{error}", err.message)
+    );
+    return;
+  }
+
+  const changed = plan.sources.filter(
+    ({ counts }) => counts.created + counts.updated + counts.deleted > 0
+  );
+  if (!changed.length) {
+    ui.notifications.info(game.i18n.localize("SCENE_STITCHER.WriteBackNothing"));
+    return;
+  }
+
+  const rows = changed
+    .map(({ scene: source, counts }) => {
+      const line = game.i18n
+        .localize("SCENE_STITCHER.WriteBackSummaryLine")
+        .replace("{created}", counts.created)
+        .replace("{updated}", counts.updated)
+        .replace("{deleted}", counts.deleted);
+      return `<li><strong>${foundry.utils.escapeHTML(source.name)}</strong>: ${line}</li>`;
+    })
+    .join("");
+  const skipped = plan.skipped
+    ? `<p>${game.i18n.localize("SCENE_STITCHER.WriteBackSkipped").replace("{count}", plan.skipped)}</p>`
+    : "";
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize("SCENE_STITCHER.WriteBackConfirmTitle"),
+      icon: "fas fa-file-export",
+    },
+    content: `<p>${game.i18n.localize("SCENE_STITCHER.WriteBackConfirmContent")}</p><ul>${rows}</ul>${skipped}`,
+  });
+  if (!confirmed) return;
+
+  try {
+    const { created, updated, deleted } = await applyWriteBack(scene, plan);
+    const successMsg = game.i18n
+      .localize("SCENE_STITCHER.WriteBackSuccess")
+      .replace("{count}", changed.length)
+      .replace("{created}", created)
+      .replace("{updated}", updated)
+      .replace("{deleted}", deleted);
+    ui.notifications.info(successMsg);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Write-back failed`, err);
+    ui.notifications.error(
+      game.i18n.localize("SCENE_STITCHER.WriteBackError").replace("{error}", err.message)
+    );
+  }
+}
+
+/**
+ * Ask what to scan, preview the references to a merged scene's sources, then point
+ * them at the merged scene on confirmation.
+ *
+ * @param {Scene} scene
+ */
+async function onRewriteLinks(scene) {
+  if (!scene) return;
+
+  const scope = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.localize("SCENE_STITCHER.RewriteLinksTitle"),
+      icon: "fas fa-link",
+    },
+    content: `<p>${game.i18n.localize("SCENE_STITCHER.RewriteLinksScope").replace("{name}", foundry.utils.escapeHTML(scene.name))}</p>
+      <div class="form-group">
+        <label><input type="checkbox" name="macros" /> ${game.i18n.localize("SCENE_STITCHER.RewriteLinksMacros")}</label>
+      </div>
+      <div class="form-group">
+        <label><input type="checkbox" name="notes" /> ${game.i18n.localize("SCENE_STITCHER.RewriteLinksNotes")}</label>
+      </div>`,
+    ok: {
+      label: game.i18n.localize("SCENE_STITCHER.RewriteLinksScan"),
+      icon: "fas fa-magnifying-glass",
+      callback: (event, button) => ({
+        macros: button.form.elements.macros.checked,
+        notes: button.form.elements.notes.checked,
+      }),
+    },
+  });
+  if (!scope) return;
+
+  const plan = planLinkRewrite(scene, scope);
+  if (!plan.changes.length) {
+    ui.notifications.info(game.i18n.localize("SCENE_STITCHER.RewriteLinksNothing"));
+    return;
+  }
+
+  const rows = plan.changes
+    .map(({ documentName, name, count }) => {
+      const type = game.i18n.localize(CONFIG[documentName]?.documentClass?.metadata?.label ?? documentName);
+      const line = game.i18n.localize("SCENE_STITCHER.RewriteLinksLine").replace("{count}", count);
+      return `<li><strong>${foundry.utils.escapeHTML(name)}</strong> (${type}): ${line}</li>`;
+    })
+    .join("");
+  const unresolved = plan.unresolved
+    ? `<p>${game.i18n.localize("SCENE_STITCHER.RewriteLinksUnresolved").replace("{count}", plan.unresolved)}</p>`
+    : "";
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize("SCENE_STITCHER.RewriteLinksTitle"),
+      icon: "fas fa-link",
+    },
+    content: `<p>${game.i18n.localize("SCENE_STITCHER.RewriteLinksConfirmContent").replace("{name}", foundry.utils.escapeHTML(scene.name))}</p>
+      <ul class="scene-stitcher-link-list">${rows}</ul>${unresolved}`,
+  });
+  if (!confirmed) return;
+
+  try {
+    const { documents, links } = await applyLinkRewrite(scene, plan);
+    ui.notifications.info(
+      game.i18n
+        .localize("SCENE_STITCHER.RewriteLinksSuccess")
+        .replace("{links}", links)
+        .replace("{documents}", documents)
+    );
+  } catch (err) {
+    console.error(`${MODULE_ID} | Link rewrite failed`, err);
+    ui.notifications.error(
+      game.i18n.localize("SCENE_STITCHER.RewriteLinksError").replace("{error}", err.message)
+    );
+  }
+}
+
+/**
+ * Confirm and undo the link rewrites of a merged scene.
+ *
+ * @param {Scene} scene
+ */
+async function onUndoRewriteLinks(scene) {
+  if (!scene) return;
+
+  const count = countLinkRewriteDocuments(scene);
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize("SCENE_STITCHER.UndoRewriteLinksTitle"),
+      icon: "fas fa-link-slash",
+    },
+    content: `<p>${game.i18n.localize("SCENE_STITCHER.UndoRewriteLinksContent").replace("{count}", count)}</p>`,
+  });
+  if (!confirmed) return;
+
+  try {
+    const { restored, skipped } = await undoLinkRewrite(scene);
+    ui.notifications.info(
+      game.i18n
+        .localize("SCENE_STITCHER.UndoRewriteLinksSuccess")
+        .replace("{restored}", restored)
+        .replace("{skipped}", skipped)
+    );
+  } catch (err) {
+    console.error(`${MODULE_ID} | Undoing the link rewrite failed`, err);
+    ui.notifications.error(
+      game.i18n.localize("SCENE_STITCHER.RewriteLinksError").replace("{error}", err.message)
+    );
+  }
+}
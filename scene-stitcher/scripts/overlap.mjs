@@ -0,0 +1,252 @@
+/**
+ * Scene Stitcher — Overlap Resolution
+ *
+ * Scenes placed over one another on the layout canvas are stacked by zIndex, and
+ * the parts of lower scenes under a higher one cannot be seen. Their walls, lights
+ * and other documents are still copied unless an overlap policy says otherwise:
+ *   - "keep": copy everything (the default)
+ *   - "clip": cut lower scenes down to their visible area. Walls are cut where a
+ *     higher scene starts, regions get the higher scenes as holes, and documents
+ *     placed at a single point are dropped when that point is covered
+ *   - "drop": drop only documents entirely covered by a higher scene
+ *
+ * Coverage is tested against each source's footprint in merged scene space, from
+ * getLayoutFootprint(). Footprints are convex (a rotated rectangle), so a shape is
+ * covered by one footprint when all of its points are.
+ */
+
+import { clipSegmentToConvexPolygon, polygonContainsPoint, rotatedRectToPolygon } from "./geometry.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Overlap policies accepted by resolveOverlaps() */
+export const OVERLAP_POLICIES = ["keep", "clip", "drop"];
+
+/** Wall pieces shorter than this (in pixels) are discarded when clipping */
+const MIN_WALL_LENGTH = 1;
+
+/**
+ * How far (in pixels) a wall must run inside a higher footprint to count as covered,
+ * so walls along the edge shared by two neighbouring scenes are kept
+ */
+const EDGE_TOLERANCE = 0.5;
+
+/**
+ * Apply an overlap policy to the documents collected from all sources.
+ *
+ * @param {Object<string, Object[]>} embedded - documentName -> data in merged scene space (mutated)
+ * @param {Array<{sceneId: string, zIndex: number, points: number[]}>} footprints - In layout order;
+ *   of two sources with the same zIndex, the later one is on top
+ * @param {'keep'|'clip'|'drop'} policy
+ * @param {Object[]} types - EMBEDDED_TYPES
+ * @param {number} gridSize - Grid size of the merged scene
+ * @returns {{clipped: number, dropped: number}}
+ */
+export function resolveOverlaps(embedded, footprints, policy, types, gridSize) {
+  const report = { clipped: 0, dropped: 0 };
+  if (!policy || policy === "keep") return report;
+
+  const covering = getCoveringFootprints(footprints);
+  for (const type of types) {
+    const docs = embedded[type.documentName];
+    if (!docs?.length) continue;
+
+    const result = [];
+    for (const data of docs) {
+      const above = covering.get(data.flags?.[MODULE_ID]?.sourceSceneId) ?? [];
+      if (!above.length) {
+        result.push(data);
+        continue;
+      }
+      const { docs: kept, changed } = resolveDocument(type, data, above, policy, gridSize);
+      if (!kept.length) report.dropped++;
+      else if (changed) report.clipped++;
+      result.push(...kept);
+    }
+    embedded[type.documentName] = result;
+  }
+  return report;
+}
+
+/**
+ * For each source, the footprints of the sources stacked above it.
+ *
+ * @param {Array<{sceneId: string, zIndex: number, points: number[]}>} footprints
+ * @returns {Map<string, number[][]>} sceneId -> footprint polygons above it
+ */
+export function getCoveringFootprints(footprints) {
+  // A stable sort keeps layout order among equal layers, as the layout canvas draws them
+  const stacked = footprints
+    .map((footprint, order) => ({ ...footprint, order }))
+    .sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0) || a.order - b.order);
+  const covering = new Map();
+  stacked.forEach((footprint, rank) => {
+    covering.set(footprint.sceneId, stacked.slice(rank + 1).map((f) => f.points));
+  });
+  return covering;
+}
+
+/**
+ * Resolve one document against the footprints above it.
+ *
+ * @param {Object} type - Entry from EMBEDDED_TYPES
+ * @param {Object} data - Document data in merged scene space
+ * @param {number[][]} above - Footprint polygons stacked above the document's source
+ * @param {'clip'|'drop'} policy
+ * @param {number} gridSize
+ * @returns {{docs: Object[], changed: boolean}} The documents to keep (none, the same
+ *   one, or clipped pieces), and whether the geometry was cut
+ */
+function resolveDocument(type, data, above, policy, gridSize) {
+  switch (type.documentName) {
+    case "Wall":
+      return resolveWall(data, above, policy);
+    case "Region":
+      return resolveRegion(data, above, policy);
+    default: {
+      // Documents placed at a point, or boxes that cannot be cut, go by their anchor
+      const anchor = type.anchorFn(data, gridSize);
+      const covered = above.some((points) => polygonContainsPoint(points, anchor.x, anchor.y));
+      return { docs: covered ? [] : [data], changed: false };
+    }
+  }
+}
+
+/**
+ * Cut a wall where it passes under higher footprints.
+ * A wall left in several pieces keeps one copy per piece, numbered in the flags so
+ * re-syncs can match them.
+ *
+ * @param {Object} data
+ * @param {number[][]} above
+ * @param {'clip'|'drop'} policy
+ * @returns {{docs: Object[], changed: boolean}}
+ */
+function resolveWall(data, above, policy) {
+  const visible = getVisibleIntervals(data.c, above);
+  if (!visible.length) return { docs: [], changed: false };
+  if (policy === "drop" || (visible.length === 1 && visible[0][0] === 0 && visible[0][1] === 1)) {
+    return { docs: [data], changed: false };
+  }
+
+  const [x1, y1, x2, y2] = data.c;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  const pieces = visible
+    .filter(([t0, t1]) => (t1 - t0) * length >= MIN_WALL_LENGTH)
+    .map(([t0, t1]) => [x1 + (x2 - x1) * t0, y1 + (y2 - y1) * t0, x1 + (x2 - x1) * t1, y1 + (y2 - y1) * t1].map(Math.round));
+  if (pieces.length === 1) {
+    data.c = pieces[0];
+    return { docs: [data], changed: true };
+  }
+  const docs = pieces.map((c, piece) => {
+    const copy = foundry.utils.deepClone(data);
+    copy.c = c;
+    copy.flags[MODULE_ID].piece = piece;
+    return copy;
+  });
+  return { docs, changed: true };
+}
+
+/**
+ * The parts of a segment not covered by any of the polygons, as parameter ranges.
+ *
+ * @param {number[]} c - Segment as [x1, y1, x2, y2]
+ * @param {number[][]} polygons - Convex polygons
+ * @returns {Array<[number, number]>} Sorted, non-overlapping ranges within [0, 1]
+ */
+function getVisibleIntervals(c, polygons) {
+  // The tolerance decides whether a polygon covers the segment; the cut is at its edge
+  const covered = polygons
+    .filter((points) => {
+      const inside = clipSegmentToConvexPolygon(c, points, EDGE_TOLERANCE);
+      return inside && inside[1] > inside[0];
+    })
+    .map((points) => clipSegmentToConvexPolygon(c, points))
+    .sort((a, b) => a[0] - b[0]);
+
+  const visible = [];
+  let start = 0;
+  for (const [t0, t1] of covered) {
+    if (t0 > start) visible.push([start, t0]);
+    start = Math.max(start, t1);
+    if (start >= 1) break;
+  }
+  if (start < 1) visible.push([start, 1]);
+  return visible;
+}
+
+/**
+ * Drop a region whose shapes are all covered, or with "clip", cut the higher
+ * footprints that overlap it out as holes.
+ *
+ * @param {Object} data
+ * @param {number[][]} above
+ * @param {'clip'|'drop'} policy
+ * @returns {{docs: Object[], changed: boolean}}
+ */
+function resolveRegion(data, above, policy) {
+  const shapes = (data.shapes ?? []).filter((shape) => !shape.hole);
+  const covered = (shape) => above.some((points) => getShapePoints(shape).every(([x, y]) => polygonContainsPoint(points, x, y)));
+  // Regions without shapes only carry behaviors and are never covered
+  if (!shapes.length) return { docs: [data], changed: false };
+  if (shapes.every(covered)) return { docs: [], changed: false };
+  if (policy === "drop") return { docs: [data], changed: false };
+
+  const holes = above.filter((points) => shapes.some((shape) => shapesOverlap(getShapePoints(shape), points)));
+  if (!holes.length) return { docs: [data], changed: false };
+  data.shapes = [...data.shapes, ...holes.map((points) => ({ type: "polygon", hole: true, points: points.map(Math.round) }))];
+  return { docs: [data], changed: true };
+}
+
+/**
+ * Outline points of a Region shape. Circles and ellipses are approximated by their
+ * bounding box corners, which errs on the side of keeping them.
+ *
+ * @param {Object} shape
+ * @returns {Array<[number, number]>}
+ */
+function getShapePoints(shape) {
+  let points;
+  switch (shape.type) {
+    case "polygon":
+      points = shape.points ?? [];
+      break;
+    case "rectangle":
+      points = rotatedRectToPolygon(shape.x, shape.y, shape.width, shape.height, shape.rotation ?? 0);
+      break;
+    case "circle":
+      points = rotatedRectToPolygon(shape.x - shape.radius, shape.y - shape.radius, shape.radius * 2, shape.radius * 2);
+      break;
+    case "ellipse":
+      points = rotatedRectToPolygon(
+        shape.x - shape.radiusX, shape.y - shape.radiusY, shape.radiusX * 2, shape.radiusY * 2, shape.rotation ?? 0
+      );
+      break;
+    default:
+      points = [];
+  }
+  const pairs = [];
+  for (let i = 0; i < points.length; i += 2) pairs.push([points[i], points[i + 1]]);
+  return pairs;
+}
+
+/**
+ * Whether a shape outline and a convex polygon overlap: a corner of either lies in
+ * the other, or an edge of the shape crosses the polygon.
+ *
+ * @param {Array<[number, number]>} shapePoints
+ * @param {number[]} polygon - Flat convex polygon point array
+ * @returns {boolean}
+ */
+function shapesOverlap(shapePoints, polygon) {
+  if (shapePoints.some(([x, y]) => polygonContainsPoint(polygon, x, y))) return true;
+  const flat = shapePoints.flat();
+  for (let i = 0; i < polygon.length; i += 2) {
+    if (polygonContainsPoint(flat, polygon[i], polygon[i + 1])) return true;
+  }
+  return shapePoints.some((p, i) => {
+    const q = shapePoints[(i + 1) % shapePoints.length];
+    const range = clipSegmentToConvexPolygon([...p, ...q], polygon);
+    return !!range && range[1] > range[0];
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * Scene Stitcher — Reference Remapping
+ *
+ * Region behaviors refer to other regions by UUID: a Teleport Token behavior's
+ * destination, the behaviors a Toggle Behavior enables or disables, and so on.
+ * Copied into a merged scene, those UUIDs still point at the source scenes. This
+ * pass rewrites every reference to a region that has a copy in the merged scene so
+ * it points at the copy, which turns a teleport between two stitched rooms into a
+ * move within the merged scene.
+ *
+ * Region copies need their IDs before they are created so references can be
+ * rewritten up front; behaviors keep their IDs inside the new region, so behavior
+ * UUIDs only need their region prefix replaced.
+ *
+ * References into a stitched source whose target has no copy are returned as
+ * unresolved. References to scenes that were not stitched are left alone.
+ */
+
+const MODULE_ID = "scene-stitcher";
+
+/** A Region UUID, optionally followed by a path to one of its behaviors */
+const REGION_UUID_PATTERN = /Scene\.([A-Za-z0-9]{16})\.Region\.([A-Za-z0-9]{16})/g;
+
+/**
+ * UUIDs of region copies that already exist in a merged scene, keyed by the UUID
+ * of their source region.
+ *
+ * @param {Scene} mergedScene
+ * @returns {Map<string, string>}
+ */
+export function getCopiedRegionUuids(mergedScene) {
+  const uuids = new Map();
+  for (const region of mergedScene.regions ?? []) {
+    const flags = region.flags?.[MODULE_ID];
+    if (!flags?.sourceSceneId || !flags.sourceDocumentId) continue;
+    uuids.set(`Scene.${flags.sourceSceneId}.Region.${flags.sourceDocumentId}`, region.uuid);
+  }
+  return uuids;
+}
+
+/**
+ * Give region data that has no copy yet a fresh ID and record the UUID it will
+ * have in the merged scene. Create the regions with `keepId: true`.
+ *
+ * @param {Object[]} regions - Region data from collectEmbeddedDocuments() (mutated)
+ * @param {string} mergedSceneId
+ * @param {Map<string, string>} [uuids] - Known source -> copy UUIDs (mutated)
+ * @returns {Map<string, string>} Source region UUID -> merged region UUID
+ */
+export function assignRegionIds(regions, mergedSceneId, uuids = new Map()) {
+  for (const data of regions) {
+    const { sourceSceneId, sourceDocumentId } = data.flags?.[MODULE_ID] ?? {};
+    if (!sourceSceneId || !sourceDocumentId) continue;
+    const sourceUuid = `Scene.${sourceSceneId}.Region.${sourceDocumentId}`;
+    if (uuids.has(sourceUuid)) continue;
+    data._id = foundry.utils.randomID();
+    uuids.set(sourceUuid, `Scene.${mergedSceneId}.Region.${data._id}`);
+  }
+  return uuids;
+}
+
+/**
+ * Rewrite the region references in the behaviors of region data.
+ *
+ * @param {Object[]} regions - Region data (mutated)
+ * @param {Map<string, string>} uuids - Region UUID -> replacement region UUID
+ * @param {Set<string>} [stitchedSceneIds] - Scenes whose unmapped references are reported
+ * @returns {Array<{sourceSceneName: string|null, region: string, behavior: string, reference: string}>}
+ *   References into stitched scenes that could not be remapped
+ */
+export function remapRegionReferences(regions, uuids, stitchedSceneIds = new Set()) {
+  const unresolved = [];
+  for (const data of regions) {
+    for (const behavior of data.behaviors ?? []) {
+      behavior.system = remapValue(behavior.system, (match, sceneId) => {
+        const replacement = uuids.get(match);
+        if (replacement) return replacement;
+        if (stitchedSceneIds.has(sceneId)) {
+          unresolved.push({
+            sourceSceneName: data.flags?.[MODULE_ID]?.sourceSceneName ?? null,
+            region: data.name,
+            behavior: behavior.name || behavior.type,
+            reference: match,
+          });
+        }
+        return match;
+      });
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Invert a UUID map, for rewriting merged scene references back to the sources.
+ *
+ * @param {Map<string, string>} uuids
+ * @returns {Map<string, string>}
+ */
+export function invertUuidMap(uuids) {
+  return new Map([...uuids].map(([source, copy]) => [copy, source]));
+}
+
+/**
+ * Replace region UUIDs in every string of a value, recursively.
+ *
+ * @param {*} value
+ * @param {Function} replace - (match, sceneId, regionId) => replacement
+ * @returns {*} The rewritten value (objects and arrays are mutated)
+ */
+function remapValue(value, replace) {
+  if (typeof value === "string") return value.replace(REGION_UUID_PATTERN, replace);
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) value[i] = remapValue(value[i], replace);
+  } else if (value && typeof value === "object") {
+    for (const key of Object.keys(value)) value[key] = remapValue(value[key], replace);
+  }
+  return value;
+}
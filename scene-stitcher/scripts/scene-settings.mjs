@@ -0,0 +1,225 @@
+/**
+ * Scene Stitcher — Scene Settings
+ *
+ * Scene-level configuration (lighting environment, weather, ambience, fog...) cannot
+ * be merged like embedded documents: the merged scene has one value per field. This
+ * module compares those fields across the source scenes, groups the sources by the
+ * value they use, and builds the merged scene's settings from the GM's choices:
+ *   - a source scene whose value is used, or
+ *   - a custom value, for fields that have a single editable value
+ *
+ * Fields are read from the v13 data model (environment, fog, grid.distance...).
+ */
+
+/**
+ * @typedef {Object} SceneSettingField
+ * @property {string} key - Identifier used for choices and form names
+ * @property {string} label - Localisation key
+ * @property {string[]} paths - Scene data paths that make up the field, copied together
+ * @property {Object} [input] - Custom value input, for fields with one editable value
+ * @property {string} input.path - The path a custom value is written to
+ * @property {'number'|'text'|'color'|'checkbox'|'select'} input.type
+ * @property {Function} [input.choices] - For selects: () => Object<value, label>
+ * @property {Object} [input.attributes] - Extra input attributes (min, max, step)
+ * @property {string[]} [input.clears] - Linked paths reset to null by a custom value
+ * @property {Function} describe - (values) => short human readable summary
+ */
+
+/** @type {SceneSettingField[]} */
+export const SCENE_SETTING_FIELDS = [
+  {
+    key: "darkness",
+    label: "SCENE_STITCHER.Setting.Darkness",
+    paths: ["environment.darknessLevel", "environment.darknessLock"],
+    input: { path: "environment.darknessLevel", type: "number", attributes: { min: 0, max: 1, step: 0.05 } },
+    describe: (v) => `${v["environment.darknessLevel"] ?? 0}${v["environment.darknessLock"] ? ` (${localize("Locked")})` : ""}`,
+  },
+  {
+    key: "environment",
+    label: "SCENE_STITCHER.Setting.Environment",
+    paths: ["environment.globalLight", "environment.cycle", "environment.base", "environment.dark"],
+    describe: (v) => {
+      const light = v["environment.globalLight"];
+      const parts = [localize(light?.enabled ? "On" : "Off")];
+      if (light?.enabled && light.darkness?.max !== undefined) parts.push(`≤ ${light.darkness.max}`);
+      if (v["environment.cycle"]) parts.push(localize("Cycle"));
+      return parts.join(", ");
+    },
+  },
+  {
+    key: "weather",
+    label: "SCENE_STITCHER.Setting.Weather",
+    paths: ["weather"],
+    input: { path: "weather", type: "select", choices: getWeatherChoices },
+    describe: (v) => getWeatherChoices()[v.weather ?? ""] ?? v.weather,
+  },
+  {
+    key: "playlist",
+    label: "SCENE_STITCHER.Setting.Playlist",
+    paths: ["playlist", "playlistSound"],
+    input: {
+      path: "playlist",
+      type: "select",
+      choices: () => getDocumentChoices(game.playlists),
+      clears: ["playlistSound"],
+    },
+    describe: (v) => {
+      const playlist = game.playlists?.get(v.playlist);
+      if (!playlist) return localize("None");
+      const sound = playlist.sounds?.get(v.playlistSound);
+      return sound ? `${playlist.name}: ${sound.name}` : playlist.name;
+    },
+  },
+  {
+    key: "journal",
+    label: "SCENE_STITCHER.Setting.Journal",
+    paths: ["journal", "journalEntryPage"],
+    input: {
+      path: "journal",
+      type: "select",
+      choices: () => getDocumentChoices(game.journal),
+      clears: ["journalEntryPage"],
+    },
+    describe: (v) => {
+      const entry = game.journal?.get(v.journal);
+      if (!entry) return localize("None");
+      const page = entry.pages?.get(v.journalEntryPage);
+      return page ? `${entry.name}: ${page.name}` : entry.name;
+    },
+  },
+  {
+    key: "backgroundColor",
+    label: "SCENE_STITCHER.Setting.BackgroundColor",
+    paths: ["backgroundColor"],
+    input: { path: "backgroundColor", type: "color" },
+    describe: (v) => v.backgroundColor ?? localize("None"),
+  },
+  {
+    key: "gridDistance",
+    label: "SCENE_STITCHER.Setting.GridDistance",
+    paths: ["grid.distance"],
+    input: { path: "grid.distance", type: "number", attributes: { min: 0, step: "any" } },
+    describe: (v) => `${v["grid.distance"]}`,
+  },
+  {
+    key: "gridUnits",
+    label: "SCENE_STITCHER.Setting.GridUnits",
+    paths: ["grid.units"],
+    input: { path: "grid.units", type: "text" },
+    describe: (v) => v["grid.units"] || localize("None"),
+  },
+  {
+    key: "tokenVision",
+    label: "SCENE_STITCHER.Setting.TokenVision",
+    paths: ["tokenVision"],
+    input: { path: "tokenVision", type: "checkbox" },
+    describe: (v) => localize(v.tokenVision ? "On" : "Off"),
+  },
+  {
+    key: "fog",
+    label: "SCENE_STITCHER.Setting.Fog",
+    paths: ["fog"],
+    describe: (v) => {
+      const parts = [localize(v.fog?.exploration ? "On" : "Off")];
+      if (v.fog?.overlay) parts.push(localize("Overlay"));
+      return parts.join(", ");
+    },
+  },
+];
+
+/**
+ * Localise one of this module's short value words.
+ *
+ * @param {string} word
+ * @returns {string}
+ */
+function localize(word) {
+  return game.i18n.localize(`SCENE_STITCHER.Setting.${word}`);
+}
+
+/**
+ * Weather effect options, keyed by CONFIG.weatherEffects id ("" = none).
+ *
+ * @returns {Object<string, string>}
+ */
+function getWeatherChoices() {
+  const choices = { "": localize("None") };
+  for (const [id, effect] of Object.entries(CONFIG.weatherEffects ?? {})) {
+    choices[id] = game.i18n.localize(effect.label ?? id);
+  }
+  return choices;
+}
+
+/**
+ * Options for picking a world document by ID ("" = none).
+ *
+ * @param {Collection|undefined} collection
+ * @returns {Object<string, string>}
+ */
+function getDocumentChoices(collection) {
+  const choices = { "": localize("None") };
+  for (const doc of collection ?? []) choices[doc.id] = doc.name;
+  return choices;
+}
+
+/**
+ * Read the values of one field from a scene.
+ *
+ * @param {Scene} scene
+ * @param {SceneSettingField} field
+ * @returns {Object<string, *>} Values keyed by path
+ */
+function readField(scene, field) {
+  const data = scene.toObject();
+  return Object.fromEntries(field.paths.map((path) => [path, foundry.utils.getProperty(data, path) ?? null]));
+}
+
+/**
+ * Compare every scene-level field across the source scenes.
+ *
+ * @param {Scene[]} scenes - Source scenes, first scene first
+ * @returns {Array<{field: SceneSettingField, options: Array<{sceneIds: string[], sceneNames: string[], values: Object, summary: string}>, conflicting: boolean}>}
+ *   One entry per field; `options` groups the sources that share a value, in source order
+ */
+export function compareSceneSettings(scenes) {
+  return SCENE_SETTING_FIELDS.map((field) => {
+    const options = [];
+    for (const scene of scenes) {
+      const values = readField(scene, field);
+      const key = JSON.stringify(values);
+      const existing = options.find((o) => o.key === key);
+      if (existing) {
+        existing.sceneIds.push(scene.id);
+        existing.sceneNames.push(scene.name);
+        continue;
+      }
+      options.push({ key, sceneIds: [scene.id], sceneNames: [scene.name], values, summary: field.describe(values) });
+    }
+    return { field, options, conflicting: options.length > 1 };
+  });
+}
+
+/**
+ * Build the merged scene's settings from per-field choices.
+ * Fields without a choice take the first source's value.
+ *
+ * @param {Scene[]} scenes - Source scenes, first scene first
+ * @param {Object<string, {sceneId?: string, custom?: *}>} [choices] - Keyed by field key
+ * @returns {Object} Nested scene data, ready to merge into Scene creation data
+ */
+export function resolveSceneSettings(scenes, choices = {}) {
+  const flat = {};
+  for (const field of SCENE_SETTING_FIELDS) {
+    const choice = choices[field.key];
+    const source = scenes.find((s) => s.id === choice?.sceneId) ?? scenes[0];
+    Object.assign(flat, readField(source, field));
+
+    if (choice && "custom" in choice && field.input) {
+      // Other paths keep the first source's values, except linked ones such as the
+      // playlist's sound, which would not belong to a custom pick
+      for (const path of field.input.clears ?? []) flat[path] = null;
+      flat[field.input.path] = choice.custom;
+    }
+  }
+  return foundry.utils.expandObject(flat);
+}
@@ -0,0 +1,288 @@
+/**
+ * Scene Stitcher — Seam Cleanup
+ *
+ * Split maps usually carry their own boundary walls, so stitching the pieces back
+ * together leaves doubled walls and invisible barriers along every seam. This pass
+ * runs over the merged wall data before it is created:
+ *   - Welds endpoints that nearly touch (within a tolerance) onto one point
+ *   - Removes exact and collinear-overlapping duplicate walls
+ *   - Optionally removes perimeter walls that now sit on an internal seam
+ */
+
+import { distanceToPolygonEdge, distanceToSegment, polygonContainsPoint } from "./geometry.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Wall fields that must match for two walls to be treated as duplicates */
+const WALL_BEHAVIOUR_FIELDS = ["move", "sight", "light", "sound", "door", "ds", "dir", "threshold"];
+
+/**
+ * Clean up walls along the seams of a merge.
+ *
+ * @param {Object[]} walls - Wall data in merged scene space (endpoints are mutated)
+ * @param {Array<{sceneId: string, points: number[]}>} footprints - Each source's placed
+ *   scene rect as a polygon in merged scene space, from getLayoutFootprint()
+ * @param {Object} [options]
+ * @param {boolean} [options.removeDuplicates=true] - Remove exact and collinear-overlapping duplicates
+ * @param {number} [options.weldTolerance=0] - Join endpoints closer than this many pixels (0 = off)
+ * @param {boolean} [options.removeSeamWalls=false] - Remove source perimeter walls lying on an internal seam
+ * @returns {{walls: Object[], report: {welded: number, duplicatesRemoved: number, seamWallsRemoved: number, total: number}}}
+ */
+export function cleanupSeams(walls, footprints, { removeDuplicates = true, weldTolerance = 0, removeSeamWalls = false } = {}) {
+  const report = { welded: 0, duplicatesRemoved: 0, seamWallsRemoved: 0, total: 0 };
+  const tolerance = Math.max(weldTolerance, 1);
+  let result = walls;
+
+  if (weldTolerance > 0) {
+    report.welded = weldEndpoints(result, weldTolerance);
+    // Welding can collapse very short walls onto a single point; they are reported
+    // with the removed duplicates, as they are covered by the walls they were welded to
+    const before = result.length;
+    result = result.filter((w) => w.c[0] !== w.c[2] || w.c[1] !== w.c[3]);
+    report.duplicatesRemoved = before - result.length;
+  }
+
+  if (removeDuplicates) {
+    const before = result.length;
+    result = dedupeWalls(result, tolerance);
+    report.duplicatesRemoved += before - result.length;
+  }
+
+  if (removeSeamWalls) {
+    const before = result.length;
+    result = result.filter((w) => !isSeamWall(w, footprints, tolerance));
+    report.seamWallsRemoved = before - result.length;
+  }
+
+  report.total = report.welded + report.duplicatesRemoved + report.seamWallsRemoved;
+  return { walls: result, report };
+}
+
+/**
+ * Snap wall endpoints within `tolerance` of each other onto the first one seen.
+ * Uses a spatial hash with tolerance-sized cells, so only neighbouring cells are searched.
+ *
+ * @param {Object[]} walls - Wall data (mutated)
+ * @param {number} tolerance
+ * @returns {number} Number of walls that moved
+ */
+function weldEndpoints(walls, tolerance) {
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+
+  const findOrAdd = (x, y) => {
+    const cx = Math.floor(x / tolerance);
+    const cy = Math.floor(y / tolerance);
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        for (const p of cells.get(cellKey(cx + i, cy + j)) ?? []) {
+          if (Math.hypot(p.x - x, p.y - y) <= tolerance) return p;
+        }
+      }
+    }
+    const point = { x, y };
+    const key = cellKey(cx, cy);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(point);
+    return point;
+  };
+
+  let moved = 0;
+  for (const wall of walls) {
+    let changed = false;
+    for (const k of [0, 2]) {
+      const p = findOrAdd(wall.c[k], wall.c[k + 1]);
+      if (p.x !== wall.c[k] || p.y !== wall.c[k + 1]) {
+        wall.c = [...wall.c];
+        wall.c[k] = p.x;
+        wall.c[k + 1] = p.y;
+        changed = true;
+      }
+    }
+    if (changed) moved++;
+  }
+  return moved;
+}
+
+/**
+ * Remove walls that are collinear with, and overlap, another wall with the same
+ * behaviour. Partially overlapping walls are merged into one spanning wall; walls
+ * that merely meet end-to-end are kept.
+ *
+ * Walls are bucketed by line angle (whole degrees) and distance from the origin (in
+ * tolerance steps). Each wall is compared with the walls of its own and neighbouring
+ * buckets, so walls on (nearly) the same infinite line are found even across a bucket
+ * boundary, and walls on the same line are grouped and merged along one direction.
+ *
+ * @param {Object[]} walls
+ * @param {number} tolerance
+ * @returns {Object[]}
+ */
+function dedupeWalls(walls, tolerance) {
+  const lines = walls.map((wall) => ({
+    wall,
+    ...describeLine(wall.c),
+    signature: JSON.stringify(WALL_BEHAVIOUR_FIELDS.map((f) => wall[f] ?? null)),
+  }));
+  const bucketKey = (angle, offset, signature) => `${angle}|${offset}|${signature}`;
+  // Whole degrees in [0, 180); max() also turns the -0 of small negative angles into 0
+  const angleBucket = (line) => Math.max(0, Math.round(line.angle));
+  const buckets = new Map();
+  for (const line of lines) {
+    const key = bucketKey(angleBucket(line), Math.round(line.offset / tolerance), line.signature);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(line);
+  }
+
+  // Join walls on the same line into groups (union-find)
+  const parent = new Map(lines.map((line) => [line, line]));
+  const find = (line) => {
+    while (parent.get(line) !== line) line = parent.get(line);
+    return line;
+  };
+  for (const line of lines) {
+    const angle = angleBucket(line);
+    for (let da = -1; da <= 1; da++) {
+      // Past 180 degrees the line's direction flips, and with it the offset's sign
+      const wrapped = angle + da < 0 || angle + da >= 180;
+      const offset = Math.round((wrapped ? -line.offset : line.offset) / tolerance);
+      for (let dof = -1; dof <= 1; dof++) {
+        const key = bucketKey((angle + da + 180) % 180, offset + dof, line.signature);
+        for (const other of buckets.get(key) ?? []) {
+          if (other !== line && isSameLine(line, other, tolerance)) parent.set(find(other), find(line));
+        }
+      }
+    }
+  }
+  const groups = new Map();
+  for (const line of lines) {
+    const root = find(line);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(line);
+  }
+
+  const removed = new Set();
+  for (const lineGroup of groups.values()) {
+    if (lineGroup.length < 2) continue;
+    // Measure every wall along the first one's direction
+    const radians = (lineGroup[0].angle * Math.PI) / 180;
+    const group = lineGroup.map(({ wall }) => ({ wall, ...projectOntoLine(wall.c, Math.cos(radians), Math.sin(radians)) }));
+    group.sort((a, b) => a.start - b.start);
+
+    let keeper = group[0];
+    for (let i = 1; i < group.length; i++) {
+      const next = group[i];
+      const overlap = Math.min(keeper.end, next.end) - next.start;
+      if (overlap <= tolerance) {
+        keeper = next;
+        continue;
+      }
+      if (next.end > keeper.end) {
+        // Extend the keeper to cover both walls
+        keeper.wall.c = keeper.startFirst
+          ? [keeper.wall.c[0], keeper.wall.c[1], next.endPoint[0], next.endPoint[1]]
+          : [next.endPoint[0], next.endPoint[1], keeper.wall.c[2], keeper.wall.c[3]];
+        keeper.end = next.end;
+        keeper.endPoint = next.endPoint;
+      }
+      removed.add(next.wall);
+    }
+  }
+
+  return walls.filter((w) => !removed.has(w));
+}
+
+/**
+ * Whether two walls lie on the same infinite line, within a degree and `tolerance`
+ * pixels of each other.
+ *
+ * @param {{angle: number, offset: number}} a - From describeLine()
+ * @param {{angle: number, offset: number}} b
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function isSameLine(a, b, tolerance) {
+  const difference = Math.abs(a.angle - b.angle);
+  if (Math.min(difference, 180 - difference) > 1) return false;
+  // Lines either side of 180 degrees point in opposite directions
+  const offset = difference > 90 ? -b.offset : b.offset;
+  return Math.abs(a.offset - offset) <= tolerance;
+}
+
+/**
+ * A wall's extent along a line direction.
+ *
+ * @param {number[]} c - Wall endpoints [x1, y1, x2, y2]
+ * @param {number} dx - Unit direction
+ * @param {number} dy
+ * @returns {{start: number, end: number, startFirst: boolean, endPoint: number[]}}
+ */
+function projectOntoLine(c, dx, dy) {
+  const t1 = c[0] * dx + c[1] * dy;
+  const t2 = c[2] * dx + c[3] * dy;
+  // startFirst: whether the wall's first endpoint is the lower end along the line
+  const startFirst = t1 <= t2;
+  return {
+    start: Math.min(t1, t2),
+    end: Math.max(t1, t2),
+    startFirst,
+    endPoint: startFirst ? [c[2], c[3]] : [c[0], c[1]],
+  };
+}
+
+/**
+ * Describe a wall's infinite line (angle in [-0.5, 179.5), so it rounds to a whole
+ * degree in [0, 180) measured in the same direction as the offset; signed distance
+ * from the origin) and its extent along that line.
+ *
+ * @param {number[]} c - Wall endpoints [x1, y1, x2, y2]
+ * @returns {{angle: number, offset: number, start: number, end: number, startFirst: boolean, endPoint: number[]}}
+ */
+function describeLine(c) {
+  let angle = Math.atan2(c[3] - c[1], c[2] - c[0]);
+  if (angle < 0) angle += Math.PI;
+  if (angle >= Math.PI * (179.5 / 180)) angle -= Math.PI;
+  const dx = Math.cos(angle);
+  const dy = Math.sin(angle);
+  return {
+    angle: (angle * 180) / Math.PI,
+    offset: -c[0] * dy + c[1] * dx,
+    ...projectOntoLine(c, dx, dy),
+  };
+}
+
+/**
+ * Whether a wall runs along its own source's boundary where another source now
+ * continues the map — i.e. a former perimeter wall that became an internal seam.
+ *
+ * @param {Object} wall
+ * @param {Array<{sceneId: string, points: number[]}>} footprints
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function isSeamWall(wall, footprints, tolerance) {
+  const sourceId = wall.flags?.[MODULE_ID]?.sourceSceneId;
+  const own = footprints.find((f) => f.sceneId === sourceId);
+  if (!own) return false;
+
+  // Both endpoints on the same edge of the source's own rectangle
+  const count = own.points.length / 2;
+  let onEdge = false;
+  for (let i = 0; i < count && !onEdge; i++) {
+    const j = (i + 1) % count;
+    const edge = [own.points[i * 2], own.points[i * 2 + 1], own.points[j * 2], own.points[j * 2 + 1]];
+    onEdge =
+      distanceToSegment(wall.c[0], wall.c[1], edge) <= tolerance &&
+      distanceToSegment(wall.c[2], wall.c[3], edge) <= tolerance;
+  }
+  if (!onEdge) return false;
+
+  // ...and another source covers or borders the wall
+  const mx = (wall.c[0] + wall.c[2]) / 2;
+  const my = (wall.c[1] + wall.c[3]) / 2;
+  return footprints.some(
+    (f) =>
+      f !== own &&
+      (polygonContainsPoint(f.points, mx, my) || distanceToPolygonEdge(f.points, mx, my) <= tolerance)
+  );
+}
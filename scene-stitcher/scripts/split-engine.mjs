@@ -0,0 +1,317 @@
+/**
+ * Scene Stitcher — Split Engine
+ *
+ * The inverse of the merge engine. Cuts one scene into a set of rectangles and
+ * creates a new Scene for each with:
+ *   - A cropped background Tile (static images are cropped and uploaded; videos are
+ *     referenced in full and offset so only the rectangle lies inside the new scene)
+ *   - The foreground image, if any, referenced in full as an offset overhead Tile
+ *   - Only the embedded documents inside the rectangle, with walls and region
+ *     polygons clipped at the boundary
+ *   - scene-stitcher flags recording the original rectangle, so the layout canvas
+ *     can put the pieces back exactly where they came from
+ *
+ * A split is all or nothing: if any piece cannot be created in full, the pieces
+ * already created are deleted again.
+ */
+
+import {
+  EMBEDDED_TYPES,
+  createForegroundTileData,
+  createSceneTransform,
+  getSceneImageFrame,
+  getSceneOrigin,
+  getScenePixelDimensions,
+} from "./merge-engine.mjs";
+import { clipDocument } from "./document-clip.mjs";
+import { intersectRects } from "./geometry.mjs";
+import { getHexLattice } from "./hex-grid.mjs";
+import { cropSceneImage, isVideoSource, loadImage, slugify } from "./image-utils.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/**
+ * Divide a scene into a rows × columns grid of rectangles.
+ * Cut lines are rounded to whole grid spaces so every piece keeps its grid aligned.
+ * On hex grids they are rounded to the nearest pixel of a whole hex across, and of
+ * an even number of rows (or columns) so the odd/even parity carries over.
+ *
+ * @param {Scene} scene
+ * @param {number} rows
+ * @param {number} columns
+ * @returns {Array<{x: number, y: number, width: number, height: number, name: string}>}
+ */
+export function computeGridRects(scene, rows, columns) {
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(scene);
+  const gridSize = scene.grid?.size ?? 100;
+  const hex = getHexLattice(scene.grid);
+  const stepX = hex ? hex.ax || hex.bx * 2 : gridSize;
+  const stepY = hex ? hex.ay || hex.by * 2 : gridSize;
+  const xs = splitAxis(sceneWidth, columns, stepX);
+  const ys = splitAxis(sceneHeight, rows, stepY);
+
+  const rects = [];
+  for (let r = 0; r < ys.length - 1; r++) {
+    for (let c = 0; c < xs.length - 1; c++) {
+      rects.push({
+        x: xs[c],
+        y: ys[r],
+        width: xs[c + 1] - xs[c],
+        height: ys[r + 1] - ys[r],
+        name: `${scene.name} [${r + 1}, ${c + 1}]`,
+      });
+    }
+  }
+  return rects;
+}
+
+/**
+ * Compute cut positions along one axis, snapped to the grid and without empty pieces.
+ *
+ * @param {number} length - Axis length in pixels
+ * @param {number} parts - Number of pieces
+ * @param {number} step - Grid repeat distance along the axis
+ * @returns {number[]} Sorted cut positions including 0 and length
+ */
+function splitAxis(length, parts, step) {
+  const cuts = new Set([0, length]);
+  for (let i = 1; i < parts; i++) {
+    const cut = Math.round(Math.round((length * i) / parts / step) * step);
+    if (cut > 0 && cut < length) cuts.add(cut);
+  }
+  return [...cuts].sort((a, b) => a - b);
+}
+
+/**
+ * Load the background image for cropping, if the scene has a static image background.
+ *
+ * @param {Scene} scene
+ * @param {string[]} warnings - Collected warnings (mutated)
+ * @returns {Promise<HTMLImageElement|null>}
+ */
+async function loadCropSource(scene, warnings) {
+  const src = scene.background?.src;
+  if (!src || isVideoSource(src)) return null;
+  try {
+    return await loadImage(src);
+  } catch (err) {
+    console.warn("Scene Stitcher: Could not load background for cropping", err);
+    warnings.push(`Could not load "${src}" for cropping; the full background is referenced instead.`);
+    return null;
+  }
+}
+
+/**
+ * Crop a rectangle out of the source background and upload it.
+ *
+ * @param {HTMLImageElement} image
+ * @param {Scene} scene
+ * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle in scene-rect space
+ * @param {string} directory
+ * @param {string} fileName
+ * @returns {Promise<string>} Uploaded file path
+ */
+function cropBackground(image, scene, rect, directory, fileName) {
+  return cropSceneImage(image, getSceneImageFrame(scene), rect, directory, fileName);
+}
+
+/**
+ * Build the background Tile for one piece.
+ *
+ * @param {Scene} scene - Source scene
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {string|null} croppedSrc - Uploaded crop, or null to reference the full background
+ * @returns {Object|null} Tile data, or null if the source has no background
+ */
+function createSplitBackgroundTileData(scene, rect, croppedSrc) {
+  const bgSrc = scene.background?.src;
+  if (!bgSrc) return null;
+
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(scene);
+  const placement = croppedSrc
+    ? { src: croppedSrc, x: 0, y: 0, width: rect.width, height: rect.height }
+    : {
+        // Full background shifted so the rectangle lines up with the new scene
+        src: bgSrc,
+        x: (scene.background.offsetX ?? 0) - rect.x,
+        y: (scene.background.offsetY ?? 0) - rect.y,
+        width: sceneWidth,
+        height: sceneHeight,
+      };
+
+  return {
+    texture: { src: placement.src },
+    x: placement.x,
+    y: placement.y,
+    width: placement.width,
+    height: placement.height,
+    rotation: 0,
+    overhead: false,
+    sort: -1000,
+    hidden: false,
+    locked: true,
+    flags: {
+      [MODULE_ID]: {
+        isBackground: true,
+        // Uncropped references are identical in every piece; the merge engine drops the duplicates
+        splitBackground: !croppedSrc,
+        sourceSceneId: scene.id,
+        sourceSceneName: scene.name,
+      },
+    },
+  };
+}
+
+/**
+ * Split a scene into one new scene per rectangle.
+ *
+ * @param {string} sceneId - The scene to split
+ * @param {Array<{x: number, y: number, width: number, height: number, name?: string}>} rects
+ *   Rectangles in the source scene's scene-rect space (padding excluded)
+ * @param {Object} [options]
+ * @param {string} [options.uploadDirectory] - Where cropped backgrounds are uploaded
+ * @returns {Promise<{scenes: Scene[], warnings: string[]}>}
+ * @throws {Error} If a piece or its documents cannot be created; the pieces already
+ *   created are deleted first, naming the piece, document type and count in the message
+ */
+export async function splitScene(sceneId, rects, options = {}) {
+  const scene = game.scenes.get(sceneId);
+  if (!scene) throw new Error(`Could not find scene: ${sceneId}`);
+
+  const { sceneWidth, sceneHeight } = getScenePixelDimensions(scene);
+  const bounds = { x: 0, y: 0, width: sceneWidth, height: sceneHeight };
+  const pieces = rects
+    .map((r) => {
+      const overlap = intersectRects(r, bounds);
+      return overlap ? { ...overlap, name: r.name } : null;
+    })
+    .filter(Boolean);
+  if (!pieces.length) throw new Error("None of the split rectangles overlap the scene.");
+
+  const warnings = [];
+  const gridSize = scene.grid?.size ?? 100;
+  const sourceOrigin = getSceneOrigin(scene);
+  const directory = options.uploadDirectory ?? `${MODULE_ID}/splits/${slugify(scene.name)}-${scene.id}`;
+  const image = await loadCropSource(scene, warnings);
+
+  // Scene-level settings (grid, lighting, environment...) are copied from the source
+  const base = scene.toObject();
+  for (const type of EMBEDDED_TYPES) delete base[type.collection];
+  delete base._id;
+  delete base.thumb;
+  delete base.active;
+  if (base.flags) delete base.flags[MODULE_ID];
+
+  // A split is all or nothing: if a piece cannot be completed, the pieces already
+  // created are deleted so an incomplete set cannot pass for the whole scene
+  const created = [];
+  try {
+    for (let i = 0; i < pieces.length; i++) {
+      const rect = pieces[i];
+      const name = rect.name || `${scene.name} ${i + 1}`;
+
+      const sceneData = foundry.utils.mergeObject(base, {
+        name,
+        width: rect.width,
+        height: rect.height,
+        padding: 0,
+        navigation: false,
+        background: { src: null, offsetX: 0, offsetY: 0 },
+        foreground: null,
+        flags: {
+          [MODULE_ID]: {
+            split: true,
+            splitFrom: scene.id,
+            splitFromName: scene.name,
+            splitIndex: i,
+            splitRect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+            splitAt: Date.now(),
+          },
+        },
+      }, { inplace: false });
+      const piece = await Scene.create(sceneData);
+      // Tracked straight away, so a failure below deletes it too
+      created.push(piece);
+
+      // Source documents are moved so the rectangle's corner becomes the new scene origin
+      const targetOrigin = getSceneOrigin(piece);
+      const pieceRect = { x: targetOrigin.x, y: targetOrigin.y, width: rect.width, height: rect.height };
+      const transform = createSceneTransform({
+        offsetX: -rect.x,
+        offsetY: -rect.y,
+        width: sceneWidth,
+        height: sceneHeight,
+        gridSize,
+        sourceOrigin,
+        targetOrigin,
+      });
+
+      // Background
+      let croppedSrc = null;
+      if (image) {
+        try {
+          croppedSrc = await cropBackground(image, scene, rect, directory, slugify(name));
+        } catch (err) {
+          console.warn(`Scene Stitcher: Could not crop background for ${name}`, err);
+          warnings.push(`Could not crop the background for "${name}"; the full background is referenced instead.`);
+        }
+      }
+      const bgTile = createSplitBackgroundTileData(scene, rect, croppedSrc);
+      if (bgTile) {
+        bgTile.x += targetOrigin.x;
+        bgTile.y += targetOrigin.y;
+        await piece.createEmbeddedDocuments("Tile", [bgTile]);
+      }
+
+      // Foreground: the whole image, shifted like the documents; identical in every
+      // piece, so it is marked for the merge engine to keep only one copy
+      const fgTile = createForegroundTileData(scene, transform, sceneWidth, sceneHeight);
+      if (fgTile) {
+        fgTile.flags[MODULE_ID].splitBackground = true;
+        await piece.createEmbeddedDocuments("Tile", [fgTile]);
+      }
+
+      // Embedded documents inside the rectangle
+      for (const type of EMBEDDED_TYPES) {
+        const collection = scene[type.collection];
+        if (!collection?.size) continue;
+
+        const docs = [];
+        for (const doc of collection) {
+          const data = doc.toObject();
+          delete data._id;
+          type.transformFn(data, transform);
+          if (clipDocument(type, data, pieceRect, gridSize)) docs.push(data);
+        }
+
+        if (docs.length) {
+          try {
+            await piece.createEmbeddedDocuments(type.documentName, docs);
+          } catch (err) {
+            console.error(`Scene Stitcher: Error creating ${type.documentName} documents in ${name}:`, err);
+            throw new Error(
+              `${docs.length} ${type.documentName} document(s) could not be created in "${name}" `
+              + `(piece ${i + 1} of ${pieces.length}). ${err.message}`
+            );
+          }
+        }
+      }
+
+      // Thumbnail from the cropped image so the piece is recognisable in the scene list
+      if (croppedSrc) {
+        try {
+          const thumb = await piece.createThumbnail({ img: croppedSrc });
+          await piece.update({ thumb: thumb.thumb }, { diff: false });
+        } catch (err) {
+          console.warn(`Scene Stitcher: Could not create thumbnail for ${name}`, err);
+        }
+      }
+    }
+  } catch (err) {
+    // Uploaded crops stay in the data folder; only the scenes are removed
+    if (created.length) await Scene.deleteDocuments(created.map((s) => s.id));
+    throw new Error(`The split was rolled back. ${err.message}`, { cause: err });
+  }
+
+  return { scenes: created, warnings };
+}
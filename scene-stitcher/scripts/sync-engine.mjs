@@ -0,0 +1,571 @@
+/**
+ * Scene Stitcher — Sync Engine
+ *
+ * Keeps a merged scene up to date with the scenes it was built from.
+ * Every document the merge engine copies is tagged with its source scene and
+ * source document ID, and the merged scene stores the layout used for each
+ * source, so a source can be re-read and its copies added, updated or deleted
+ * in place. Documents without those tags were created directly in the merged
+ * scene and are never touched by a re-sync. Documents a target scene had before
+ * sources were stitched into it are tagged as its own and are never written back.
+ *
+ * The reverse direction, write-back, pushes edits made in the merged scene to the
+ * sources by inverting each source's transform. Deletions of copies are recorded
+ * as they happen (see recordDeletedCopy) so that documents deliberately left out
+ * of a merge are never mistaken for deleted ones.
+ *
+ * Merges made with seam cleanup store its settings, and both directions re-apply
+ * it so welded and deduplicated walls are neither restored nor written back.
+ * Region behavior references are likewise pointed at the region copies on re-sync
+ * and back at the source regions on write-back. The overlap policy is re-applied
+ * too; a wall cut into several pieces by it is synced piece by piece but never
+ * written back, as no piece stands for the whole source wall.
+ */
+
+import {
+  EMBEDDED_TYPES,
+  collectEmbeddedDocuments,
+  createBackgroundTileData,
+  createForegroundTileData,
+  createLayoutTransform,
+  getImageCrop,
+  getLayoutFootprint,
+  getSceneOrigin,
+  invertTransform,
+  splitBackgroundKey,
+  transformPoint,
+} from "./merge-engine.mjs";
+import { rectContainsPoint } from "./geometry.mjs";
+import { resolveOverlaps } from "./overlap.mjs";
+import { assignRegionIds, getCopiedRegionUuids, invertUuidMap, remapRegionReferences } from "./reference-remap.mjs";
+import { cleanupSeams } from "./seam-cleanup.mjs";
+
+const MODULE_ID = "scene-stitcher";
+
+/** Operation option marking changes made by Scene Stitcher itself */
+const INTERNAL_OPTION = { [MODULE_ID]: { internal: true } };
+
+/** Keys that never count as an edit when comparing a copy with its source */
+const IGNORED_KEYS = new Set(["_id", "_stats"]);
+
+/**
+ * Whether a scene was produced by the merge engine.
+ *
+ * @param {Scene|null|undefined} scene
+ * @returns {boolean}
+ */
+export function isMergedScene(scene) {
+  return !!scene?.flags?.[MODULE_ID]?.merged;
+}
+
+/**
+ * Whether a merged scene stores enough layout information to be synced.
+ * Scenes merged before layouts were recorded only have the source IDs.
+ *
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+export function canSyncMergedScene(scene) {
+  return isMergedScene(scene) && Array.isArray(scene.flags[MODULE_ID].layouts);
+}
+
+/**
+ * Re-read and transform every available source of a merged scene, exactly as the
+ * merge engine would, including the merge's filters, overlap policy, seam cleanup and
+ * region references.
+ *
+ * @param {Scene} mergedScene
+ * @returns {{entries: Array<{layout: Object, source: Scene, transform: Object, embedded: Object}>, missingSources: string[]}}
+ */
+function collectSourceData(mergedScene) {
+  const { layouts, seamCleanup, filters, overlap } = mergedScene.flags[MODULE_ID];
+  const targetOrigin = getSceneOrigin(mergedScene);
+  const entries = [];
+  const missingSources = [];
+
+  for (const layout of layouts) {
+    const source = game.scenes.get(layout.sceneId);
+    if (!source) {
+      missingSources.push(layout.sceneId);
+      continue;
+    }
+    const transform = createLayoutTransform(source, layout, targetOrigin);
+    const embedded = collectEmbeddedDocuments(source, transform, filters, layout.crop);
+    entries.push({ layout, source, transform, embedded });
+  }
+
+  const footprints = entries.map((entry) => ({
+    sceneId: entry.source.id,
+    zIndex: entry.layout.zIndex ?? 0,
+    points: getLayoutFootprint(entry.transform, entry.layout.crop),
+  }));
+
+  // Overlaps are resolved across all sources at once, then handed back to their owners
+  if (overlap && overlap !== "keep") {
+    const all = {};
+    for (const type of EMBEDDED_TYPES) {
+      all[type.documentName] = entries.flatMap((entry) => entry.embedded[type.documentName] ?? []);
+    }
+    resolveOverlaps(all, footprints, overlap, EMBEDDED_TYPES, mergedScene.grid.size);
+    for (const entry of entries) {
+      for (const type of EMBEDDED_TYPES) {
+        entry.embedded[type.documentName] = all[type.documentName].filter(
+          (data) => data.flags[MODULE_ID].sourceSceneId === entry.source.id
+        );
+      }
+    }
+  }
+
+  // Walls are cleaned across all sources at once, then handed back to their owners
+  if (seamCleanup) {
+    const walls = entries.flatMap((entry) => entry.embedded.Wall ?? []);
+    const cleaned = cleanupSeams(walls, footprints, seamCleanup).walls;
+    for (const entry of entries) {
+      entry.embedded.Wall = cleaned.filter((w) => w.flags[MODULE_ID].sourceSceneId === entry.source.id);
+    }
+  }
+
+  // Region references point at the existing copies; regions without a copy get the
+  // ID they will be created with
+  const regions = entries.flatMap((entry) => entry.embedded.Region ?? []);
+  const regionUuids = assignRegionIds(regions, mergedScene.id, getCopiedRegionUuids(mergedScene));
+  remapRegionReferences(regions, regionUuids);
+
+  return { entries, missingSources };
+}
+
+/**
+ * Partition a merged scene's copies of one source by document type.
+ *
+ * @param {Scene} mergedScene
+ * @param {string} sourceSceneId
+ * @returns {{backgrounds: Document[], foregrounds: Document[], byType: Object<string, Document[]>}}
+ */
+function getSourceCopies(mergedScene, sourceSceneId) {
+  const backgrounds = [];
+  const foregrounds = [];
+  const byType = {};
+  for (const type of EMBEDDED_TYPES) {
+    byType[type.documentName] = [];
+    for (const doc of mergedScene[type.collection] ?? []) {
+      const flags = doc.flags?.[MODULE_ID];
+      if (flags?.sourceSceneId !== sourceSceneId) continue;
+      // Generated backgrounds have no source document; copied Tiles that were
+      // backgrounds in the source (e.g. split pieces) are ordinary copies here
+      const generated = !flags.sourceDocumentId && type.documentName === "Tile";
+      if (generated && flags.isBackground) backgrounds.push(doc);
+      else if (generated && flags.isForeground) foregrounds.push(doc);
+      else byType[type.documentName].push(doc);
+    }
+  }
+  return { backgrounds, foregrounds, byType };
+}
+
+/**
+ * Diff for a generated Tile (background or foreground) of which a source has at
+ * most one: update the first existing copy, create it if missing, drop any extras.
+ *
+ * @param {Document[]} existing - Current generated Tiles of this kind for the source
+ * @param {Object|null} data - Freshly generated Tile data, or null if the source has none
+ * @returns {{toCreate: Object[], toUpdate: Object[], toDelete: string[]}}
+ */
+function diffGeneratedTile(existing, data) {
+  return {
+    toCreate: data && !existing.length ? [data] : [],
+    toUpdate: data && existing.length ? [{ ...data, _id: existing[0].id }] : [],
+    toDelete: existing.slice(data ? 1 : 0).map((doc) => doc.id),
+  };
+}
+
+/**
+ * The key a copy is matched on: its source document, and for walls cut into
+ * pieces by the overlap policy, the piece.
+ *
+ * @param {Object} flags - The copy's scene-stitcher flags
+ * @returns {string|undefined}
+ */
+function copyKey(flags) {
+  if (!flags?.sourceDocumentId) return undefined;
+  return flags.piece === undefined ? flags.sourceDocumentId : `${flags.sourceDocumentId}.${flags.piece}`;
+}
+
+/**
+ * Work out the creates, updates and deletes that bring a set of copies in line
+ * with freshly transformed source data. Copies are matched on copyKey();
+ * copies without a source document (from older merges) cannot be matched and are replaced.
+ *
+ * @param {Document[]} copies - Existing documents in the merged scene
+ * @param {Object[]} desired - Transformed source data from collectEmbeddedDocuments()
+ * @returns {{toCreate: Object[], toUpdate: Object[], toDelete: string[]}}
+ */
+function diffCopies(copies, desired) {
+  const byKey = new Map();
+  for (const doc of copies) {
+    const key = copyKey(doc.flags[MODULE_ID]);
+    if (key && !byKey.has(key)) byKey.set(key, doc);
+  }
+
+  const toCreate = [];
+  const toUpdate = [];
+  const matched = new Set();
+  for (const data of desired) {
+    const existing = byKey.get(copyKey(data.flags[MODULE_ID]));
+    if (existing) {
+      toUpdate.push({ ...data, _id: existing.id });
+      matched.add(existing.id);
+    } else {
+      toCreate.push(data);
+    }
+  }
+
+  const toDelete = copies.filter((doc) => !matched.has(doc.id)).map((doc) => doc.id);
+  return { toCreate, toUpdate, toDelete };
+}
+
+/**
+ * Re-read every source scene of a merged scene and apply the differences.
+ * Sources that no longer exist are skipped and their copies left in place.
+ *
+ * @param {Scene} mergedScene
+ * @returns {Promise<{created: number, updated: number, deleted: number, missingSources: string[]}>}
+ */
+export async function resyncMergedScene(mergedScene) {
+  if (!isMergedScene(mergedScene)) {
+    throw new Error(`"${mergedScene?.name}" is not a merged scene.`);
+  }
+  if (!canSyncMergedScene(mergedScene)) {
+    throw new Error(`"${mergedScene.name}" was merged without layout information and cannot be re-synced.`);
+  }
+
+  const { flattened } = mergedScene.flags[MODULE_ID];
+  const { entries, missingSources } = collectSourceData(mergedScene);
+  const summary = { created: 0, updated: 0, deleted: 0, missingSources };
+
+  for (const { layout, source, transform, embedded } of entries) {
+    const { backgrounds, foregrounds, byType } = getSourceCopies(mergedScene, source.id);
+
+    // Background tile. Flattened merges keep their baked image; only backgrounds
+    // left as Tiles (e.g. videos) are synced
+    const bgTile = createBackgroundTileData(
+      source, transform, layout.width, layout.height, layout.zIndex, getImageCrop(layout, "background")
+    );
+    if (!flattened || backgrounds.length) {
+      await applyDiff(mergedScene, "Tile", diffGeneratedTile(backgrounds, bgTile), summary);
+    }
+
+    // Foreground tile, never flattened
+    const fgTile = createForegroundTileData(
+      source, transform, layout.width, layout.height, layout.zIndex, getImageCrop(layout, "foreground")
+    );
+    await applyDiff(mergedScene, "Tile", diffGeneratedTile(foregrounds, fgTile), summary);
+
+    for (const type of EMBEDDED_TYPES) {
+      const diff = diffCopies(byType[type.documentName], embedded[type.documentName] ?? []);
+      if (type.documentName === "Tile") {
+        // The merge keeps one copy of a split video background shared by several pieces
+        const existingKeys = new Set(mergedScene.tiles.map((t) => splitBackgroundKey(t)).filter(Boolean));
+        diff.toCreate = diff.toCreate.filter((data) => !existingKeys.has(splitBackgroundKey(data)));
+      }
+      await applyDiff(mergedScene, type.documentName, diff, summary);
+    }
+  }
+
+  // Copies deleted in the merged scene are recreated above, so their records are stale
+  await mergedScene.update({
+    [`flags.${MODULE_ID}.deletedCopies`]: [],
+    [`flags.${MODULE_ID}.syncedAt`]: Date.now(),
+  });
+  return summary;
+}
+
+/**
+ * Apply a create/update/delete diff to one embedded collection.
+ *
+ * @param {Scene} scene
+ * @param {string} documentName
+ * @param {{toCreate: Object[], toUpdate: Object[], toDelete: string[]}} diff
+ * @param {{created: number, updated: number, deleted: number}} summary - Running totals (mutated)
+ */
+async function applyDiff(scene, documentName, { toCreate, toUpdate, toDelete }, summary) {
+  let created = [];
+  if (toDelete.length) {
+    await scene.deleteEmbeddedDocuments(documentName, toDelete, INTERNAL_OPTION);
+    summary.deleted += toDelete.length;
+  }
+  if (toUpdate.length) {
+    await scene.updateEmbeddedDocuments(documentName, toUpdate, INTERNAL_OPTION);
+    summary.updated += toUpdate.length;
+  }
+  if (toCreate.length) {
+    // New region copies come with the IDs their references were remapped to
+    created = await scene.createEmbeddedDocuments(documentName, toCreate, { ...INTERNAL_OPTION, keepId: true });
+    summary.created += toCreate.length;
+  }
+  return created;
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Deletion tracking                                                         */
+/* -------------------------------------------------------------------------- */
+
+/** @type {Map<string, Array<{sceneId: string, documentName: string, documentId: string}>>} */
+const pendingDeletions = new Map();
+
+/**
+ * Persist queued deletion records, one scene update per merged scene.
+ */
+const flushDeletions = foundry.utils.debounce(async () => {
+  const batches = [...pendingDeletions.entries()];
+  pendingDeletions.clear();
+  for (const [sceneId, records] of batches) {
+    const scene = game.scenes.get(sceneId);
+    if (!scene) continue;
+    const existing = scene.flags[MODULE_ID]?.deletedCopies ?? [];
+    await scene.update({ [`flags.${MODULE_ID}.deletedCopies`]: [...existing, ...records] });
+  }
+}, 250);
+
+/**
+ * Remember that a copied document was deleted from a merged scene, so write-back
+ * can delete the matching source document. Registered for every embedded type's
+ * delete hook; deletions made by Scene Stitcher itself are ignored.
+ *
+ * @param {Document} document - The deleted embedded document
+ * @param {Object} options - Operation options
+ * @param {string} userId - The user who performed the deletion
+ */
+export function recordDeletedCopy(document, options, userId) {
+  if (userId !== game.user.id || options?.[MODULE_ID]?.internal) return;
+  const scene = document.parent;
+  const flags = document.flags?.[MODULE_ID];
+  if (!isMergedScene(scene) || !flags?.sourceSceneId || !flags.sourceDocumentId) return;
+  // Deleting one piece of a cut wall does not delete the source wall
+  if (flags.piece !== undefined) return;
+
+  const records = pendingDeletions.get(scene.id) ?? [];
+  records.push({
+    sceneId: flags.sourceSceneId,
+    documentName: document.documentName,
+    documentId: flags.sourceDocumentId,
+  });
+  pendingDeletions.set(scene.id, records);
+  flushDeletions();
+}
+
+/* -------------------------------------------------------------------------- */
+/*  Write-back                                                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Deep comparison that tolerates sub-pixel rounding and ignores document IDs.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} True if the values differ
+ */
+function differs(a, b) {
+  if (typeof a === "number" && typeof b === "number") return Math.abs(a - b) > 0.5;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return true;
+    return a.some((value, i) => differs(value, b[i]));
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (IGNORED_KEYS.has(key)) continue;
+      if (differs(a[key], b[key])) return true;
+    }
+    return false;
+  }
+  return (a ?? null) !== (b ?? null);
+}
+
+/**
+ * Remove Scene Stitcher's traceability flags from document data.
+ *
+ * @param {Object} data
+ * @returns {Object} The same data (mutated)
+ */
+function stripStitcherFlags(data) {
+  if (data.flags) delete data.flags[MODULE_ID];
+  return data;
+}
+
+/**
+ * Find the source a document created in the merged scene belongs to:
+ * the highest-layer source whose scene rect (or crop) contains the document's anchor.
+ *
+ * @param {Object} type - Entry from EMBEDDED_TYPES
+ * @param {Object} data - Document data in merged scene space
+ * @param {Object[]} entries - Per-source write-back entries
+ * @returns {Object|null}
+ */
+function findOwningSource(type, data, entries) {
+  const byLayer = [...entries].sort((a, b) => (b.layout.zIndex ?? 0) - (a.layout.zIndex ?? 0));
+  for (const entry of byLayer) {
+    const anchor = type.anchorFn(data, entry.inverse.gridSize);
+    const p = transformPoint(entry.inverse, anchor.x, anchor.y);
+    const crop = entry.layout.crop;
+    const rect = {
+      x: entry.transform.sourceX + (crop?.x ?? 0),
+      y: entry.transform.sourceY + (crop?.y ?? 0),
+      width: crop?.width ?? entry.transform.width,
+      height: crop?.height ?? entry.transform.height,
+    };
+    if (rectContainsPoint(rect, p.x, p.y)) return entry;
+  }
+  return null;
+}
+
+/**
+ * Work out which source documents need to be created, updated or deleted to
+ * reflect the edits made in a merged scene. Nothing is written.
+ *
+ * - Copies that differ from their transformed source are updated in the source
+ * - Documents created directly in the merged scene are created in the source they sit on,
+ *   except a target scene's own documents
+ * - Copies deleted from the merged scene are deleted from the source
+ *
+ * @param {Scene} mergedScene
+ * @returns {{sources: Object[], skipped: number}} Plan for applyWriteBack()
+ */
+export function planWriteBack(mergedScene) {
+  if (!canSyncMergedScene(mergedScene)) {
+    throw new Error(`"${mergedScene?.name}" was merged without layout information and cannot be written back.`);
+  }
+
+  const flags = mergedScene.flags[MODULE_ID];
+  const { entries } = collectSourceData(mergedScene);
+  for (const entry of entries) {
+    entry.inverse = invertTransform(entry.transform);
+    entry.changes = {};
+    // What each copy looked like when last synced, keyed by type and source document ID
+    entry.expected = new Map();
+    for (const [documentName, docs] of Object.entries(entry.embedded)) {
+      for (const data of docs) entry.expected.set(`${documentName}.${data.flags[MODULE_ID].sourceDocumentId}`, data);
+    }
+  }
+  const bySceneId = new Map(entries.map((entry) => [entry.source.id, entry]));
+  const sourceRegionUuids = invertUuidMap(getCopiedRegionUuids(mergedScene));
+  let skipped = 0;
+
+  for (const type of EMBEDDED_TYPES) {
+    for (const entry of entries) {
+      entry.changes[type.documentName] = { toCreate: [], toUpdate: [], toDelete: [] };
+    }
+
+    for (const copy of mergedScene[type.collection] ?? []) {
+      const copyFlags = copy.flags?.[MODULE_ID];
+      // Generated background and foreground tiles have no source document
+      if ((copyFlags?.isBackground || copyFlags?.isForeground) && !copyFlags.sourceDocumentId) continue;
+
+      // A target scene's own documents were never copied from a source
+      if (copyFlags?.ownedByTarget) continue;
+
+      // A piece of a wall cut by the overlap policy cannot stand in for the whole wall
+      if (copyFlags?.piece !== undefined) {
+        skipped++;
+        continue;
+      }
+
+      if (copyFlags?.sourceSceneId) {
+        const entry = bySceneId.get(copyFlags.sourceSceneId);
+        const original = entry?.source[type.collection].get(copyFlags.sourceDocumentId);
+        if (!original) {
+          // Source scene or document is gone, or the copy predates document tracking
+          skipped++;
+          continue;
+        }
+
+        const synced = entry.expected.get(`${type.documentName}.${original.id}`);
+        const expected = stripStitcherFlags(
+          synced ? foundry.utils.deepClone(synced) : type.transformFn(original.toObject(), entry.transform)
+        );
+        const current = stripStitcherFlags(copy.toObject());
+        if (!differs(expected, current)) continue;
+
+        const data = type.transformFn(current, entry.inverse);
+        if (type.documentName === "Region") remapRegionReferences([data], sourceRegionUuids);
+        const ownFlags = original.flags?.[MODULE_ID];
+        if (ownFlags) data.flags[MODULE_ID] = foundry.utils.deepClone(ownFlags);
+        data._id = original.id;
+        entry.changes[type.documentName].toUpdate.push(data);
+      } else {
+        const entry = findOwningSource(type, copy.toObject(), entries);
+        if (!entry) {
+          skipped++;
+          continue;
+        }
+        const data = type.transformFn(copy.toObject(), entry.inverse);
+        if (type.documentName === "Region") remapRegionReferences([data], sourceRegionUuids);
+        delete data._id;
+        entry.changes[type.documentName].toCreate.push({ data, copyId: copy.id });
+      }
+    }
+  }
+
+  // Copies deleted from the merged scene since the last merge, sync or write-back
+  for (const record of flags.deletedCopies ?? []) {
+    const entry = bySceneId.get(record.sceneId);
+    const type = EMBEDDED_TYPES.find((t) => t.documentName === record.documentName);
+    if (!entry || !type || !entry.source[type.collection].has(record.documentId)) continue;
+    entry.changes[type.documentName].toDelete.push(record.documentId);
+  }
+
+  const sources = entries.map((entry) => {
+    const counts = { created: 0, updated: 0, deleted: 0 };
+    for (const diff of Object.values(entry.changes)) {
+      counts.created += diff.toCreate.length;
+      counts.updated += diff.toUpdate.length;
+      counts.deleted += diff.toDelete.length;
+    }
+    return { scene: entry.source, changes: entry.changes, counts };
+  });
+
+  return { sources, skipped };
+}
+
+/**
+ * Apply a write-back plan to the source scenes. Documents newly created in a
+ * source are linked to their merged copies so later syncs treat them as copies.
+ *
+ * @param {Scene} mergedScene
+ * @param {{sources: Object[]}} plan - From planWriteBack()
+ * @returns {Promise<{created: number, updated: number, deleted: number}>}
+ */
+export async function applyWriteBack(mergedScene, plan) {
+  const summary = { created: 0, updated: 0, deleted: 0 };
+
+  for (const { scene, changes } of plan.sources) {
+    for (const [documentName, diff] of Object.entries(changes)) {
+      const created = await applyDiff(
+        scene,
+        documentName,
+        {
+          toCreate: diff.toCreate.map((c) => c.data),
+          toUpdate: diff.toUpdate,
+          toDelete: diff.toDelete,
+        },
+        summary
+      );
+
+      if (created.length) {
+        const links = created.map((doc, i) => ({
+          _id: diff.toCreate[i].copyId,
+          [`flags.${MODULE_ID}`]: {
+            sourceSceneId: scene.id,
+            sourceSceneName: scene.name,
+            sourceDocumentId: doc.id,
+          },
+        }));
+        await mergedScene.updateEmbeddedDocuments(documentName, links, INTERNAL_OPTION);
+      }
+    }
+  }
+
+  await mergedScene.update({
+    [`flags.${MODULE_ID}.deletedCopies`]: [],
+    [`flags.${MODULE_ID}.syncedAt`]: Date.now(),
+  });
+  return summary;
+}